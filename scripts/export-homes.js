@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+/**
+ * export-homes.js
+ * Headless export of stored homes: parses each <home>.sh3x of the data directory with the
+ * SweetHome3D JS libraries, and runs the same Unity export as the editor to write
+ * <home>_geometry.zip (or .glb), <home>_devices.json, the <home>_home.json serialized home and the
+ * <home>_report.json validation report next to it (see listHomesExtended.php and exportForUnity.php).
+ *
+ * Usage:
+ *   node scripts/export-homes.js [--data <dir>] [--format obj|glb] [--optimize <triangles>]
+ *                                [--origin <origin>] [--unit m|cm] [--handedness right|left] [--verbose] [home ...]
+ *
+ * Without home names, every home of the data directory is exported.
+ * The data directory defaults to /data/homes, or data/homes in this repository.
+ * Export options are those of the editor's Export Options dialog (see UnityExportUtilities.exportForUnity).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { pathToFileURL } = require('url');
+
+const WWW_DIR = path.join(__dirname, '..', 'sweethome3d', 'www');
+
+// Scripts of index.html needed to read homes and export them, in loading order
+const LIB_SCRIPTS = [
+  'big.min.js',
+  'gl-matrix-min.js',
+  'jszip.min.js',
+  'jsXmlSaxParser.min.js',
+  'core.min.js',
+  'geom.min.js',
+  'stroke.min.js',
+  'swingundo.min.js',
+  'batik-svgpathparser.min.js',
+  'triangulator.min.js',
+  'graphics2d.min.js',
+  'recorderworker.min.js',
+  'sweethome3d.min.js',
+  'objDefaults.js',
+  'objExporter.js',
+  'gltfExporter.js',
+  'device-types.js',
+  'devices-schema.js',
+  'device-properties.js',
+  'unity-export-utils.js'
+];
+
+// Files of exportForUnity written by this script, the others (import script) being dropped
+const EXPORTED_SUFFIXES = ['_geometry.zip', '_geometry.glb', '_devices.json', '_report.json'];
+
+const USAGE = `Usage: node scripts/export-homes.js [options] [home ...]
+
+Options:
+  --data <dir>               Data directory of the homes (default /data/homes, or data/homes in this repository)
+  --format obj|glb           Geometry format: <home>_geometry.zip with OBJ files (default), or <home>_geometry.glb
+  --optimize <triangles>     Optimize geometry for WebGL, decimating furniture models with more triangles
+                             (0 only welds vertices)
+  --origin <origin>          Origin of coordinates: plan (default), center, or the text of a label or the name of a piece
+  --unit m|cm                Unit of coordinates (default m, OBJ only)
+  --handedness right|left    Axes of coordinates (default right, OBJ only)
+  --verbose                  Show the exporter logs
+`;
+
+/**
+ * Parse command line arguments
+ * @throws {Error} - When an option is unknown or has an invalid value
+ */
+function parseArguments(args) {
+  const options = { dataDir: null, verbose: false, homes: [], exportOptions: {} };
+  const choice = (option, value, values) => {
+    if (!values.includes(value)) {
+      throw new Error(`${option} must be ${values.join(' or ')}`);
+    }
+    return value;
+  };
+  for (let i = 0; i < args.length; i++) {
+    const value = args[i + 1];
+    if (args[i] === '--data') {
+      options.dataDir = args[++i];
+    } else if (args[i] === '--format') {
+      options.exportOptions.format = choice('--format', value, ['obj', 'glb']);
+      i++;
+    } else if (args[i] === '--optimize') {
+      const triangleBudget = Number(value);
+      if (!Number.isInteger(triangleBudget) || triangleBudget < 0) {
+        throw new Error('--optimize must be a count of triangles, 0 or more');
+      }
+      options.exportOptions.optimize = { triangleBudget };
+      i++;
+    } else if (args[i] === '--origin') {
+      if (value === undefined) {
+        throw new Error('--origin must be plan, center, or a label or piece name');
+      }
+      options.exportOptions.origin = value;
+      i++;
+    } else if (args[i] === '--unit') {
+      options.exportOptions.unit = choice('--unit', value, ['m', 'cm']);
+      i++;
+    } else if (args[i] === '--handedness') {
+      options.exportOptions.handedness = choice('--handedness', value, ['right', 'left']);
+      i++;
+    } else if (args[i] === '--verbose') {
+      options.verbose = true;
+    } else if (args[i] === '--help' || args[i] === '-h') {
+      options.help = true;
+    } else if (args[i].startsWith('--')) {
+      throw new Error(`Unknown option ${args[i]}`);
+    } else {
+      options.homes.push(args[i].replace(/\.sh3x$/, ''));
+    }
+  }
+  if (!options.dataDir) {
+    options.dataDir = fs.existsSync('/data/homes')
+      ? '/data/homes'
+      : path.join(__dirname, '..', 'data', 'homes');
+  }
+  return options;
+}
+
+/**
+ * Build an object accepting any property access, call or construction, except for the given properties.
+ * SweetHome3D JS touches the DOM when its scripts load; no view is ever created here.
+ */
+function createStub(properties = {}) {
+  return new Proxy(function () {}, {
+    get: (target, key) => key in properties ? properties[key]
+      : key === Symbol.toPrimitive ? () => '' : key === 'length' ? 0 : createStub(),
+    apply: () => createStub(),
+    construct: () => createStub()
+  });
+}
+
+/**
+ * Resolve a URL of the web app (e.g. lib/resources/models/bed.zip) to a file, or null for remote URLs
+ */
+function resolveLocalFile(url) {
+  if (/^(https?|data|blob):/.test(url)) {
+    return null;
+  }
+  if (url.startsWith('file:')) {
+    return new URL(url).pathname;
+  }
+  return path.join(WWW_DIR, decodeURIComponent(url.split(/[?#]/)[0]));
+}
+
+/**
+ * Set up browser globals, then load the SweetHome3D and export libraries in this process,
+ * like index.html does in the page
+ */
+function loadLibraries(verbose) {
+  globalThis.window = globalThis;
+  globalThis.self = globalThis;
+  // No currentScript: OBJExporter.workerURL stays null
+  globalThis.document = createStub({ currentScript: null });
+  globalThis.Image = createStub();
+  globalThis.addEventListener = () => {};
+  globalThis.removeEventListener = () => {};
+  if (typeof navigator === 'undefined') {
+    globalThis.navigator = { userAgent: 'node', platform: process.platform, language: 'en' };
+  }
+  if (!verbose) {
+    // Exporters log every texture and device
+    console.log = () => {};
+    console.info = () => {};
+  }
+
+  // Files of the web app are read from disk (textures)
+  const nodeFetch = globalThis.fetch;
+  globalThis.fetch = async (url, init) => {
+    const file = resolveLocalFile(String(url));
+    if (file === null) {
+      return nodeFetch(url, init);
+    }
+    try {
+      return new Response(await fs.promises.readFile(file));
+    } catch (error) {
+      return new Response(null, { status: 404, statusText: error.code });
+    }
+  };
+
+  for (const script of LIB_SCRIPTS) {
+    vm.runInThisContext(fs.readFileSync(path.join(WWW_DIR, 'lib', script), 'utf8'), { filename: script });
+  }
+
+  // Furniture model ZIPs are read from disk
+  const getZIP = ZIPTools.getZIP;
+  ZIPTools.getZIP = (url, synchronous, observer) => {
+    const file = resolveLocalFile(url);
+    if (file === null) {
+      return getZIP.call(ZIPTools, url, synchronous, observer);
+    }
+    fs.readFile(file, (error, data) => {
+      if (error) {
+        observer.zipError(error.message);
+        return;
+      }
+      try {
+        observer.zipReady(new JSZip(data.toString('binary')));
+      } catch (zipError) {
+        observer.zipError(zipError.message);
+      }
+    });
+  };
+}
+
+/**
+ * Read a home from a .sh3x file, as HomeRecorder does in the editor
+ * @returns {Home}
+ */
+function readHome(file) {
+  const zip = new JSZip(fs.readFileSync(file).toString('binary'));
+  const entry = zip.file('Home.xml');
+  if (entry === null) {
+    throw new Error(`No Home.xml entry in ${file}`);
+  }
+  const handler = new HomeXMLHandler();
+  handler.homeUrl = pathToFileURL(file).href;
+  const parser = new SAXParser(handler, handler, handler, handler, handler);
+  parser.parseString(entry.asText().replace(/'/g, '"'));
+  return handler.getHome();
+}
+
+/**
+ * Export a home like "Export for Unity" in the editor, writing its files in the data directory
+ * @param {Object} exportOptions - Options of exportForUnity (format, optimize, origin, unit, handedness)
+ * @returns {Promise<Object>} - exportForUnity result, with the written files
+ */
+async function exportHome(dataDir, homeId, exportOptions = {}) {
+  const home = readHome(path.join(dataDir, `${homeId}.sh3x`));
+
+  // Keep the files exportForUnity would download
+  const files = [];
+  const captureBlob = (blob, filename) => files.push({ blob, filename });
+  const objDownloadBlob = OBJExporter.prototype.downloadBlob;
+  const unityDownloadBlob = UnityExportUtilities.downloadBlob;
+  OBJExporter.prototype.downloadBlob = captureBlob;
+  UnityExportUtilities.downloadBlob = captureBlob;
+  let result;
+  try {
+    // No Web Worker in Node: files are built in this thread
+    result = await UnityExportUtilities.exportForUnity(home, null, homeId, { ...exportOptions, workerURL: null });
+  } finally {
+    OBJExporter.prototype.downloadBlob = objDownloadBlob;
+    UnityExportUtilities.downloadBlob = unityDownloadBlob;
+  }
+
+  result.files = [];
+  for (const { blob, filename } of files) {
+    if (EXPORTED_SUFFIXES.some(suffix => filename === homeId + suffix)) {
+      await fs.promises.writeFile(path.join(dataDir, filename), Buffer.from(await blob.arrayBuffer()));
+      result.files.push(filename);
+    }
+  }
+
+  // Serialized home, as saved by exportForUnity.php
+  const homeDataName = `${homeId}_home.json`;
+  await fs.promises.writeFile(path.join(dataDir, homeDataName),
+    JSON.stringify(UnityExportUtilities.serializeHome(home), null, 4));
+  result.files.push(homeDataName);
+  return result;
+}
+
+async function main() {
+  const options = parseArguments(process.argv.slice(2));
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (!fs.existsSync(options.dataDir)) {
+    throw new Error(`Data directory not found: ${options.dataDir}`);
+  }
+
+  const homes = options.homes.length > 0
+    ? options.homes
+    : fs.readdirSync(options.dataDir).filter(file => file.endsWith('.sh3x')).map(file => file.slice(0, -5)).sort();
+  const log = console.log;
+  loadLibraries(options.verbose);
+
+  let failures = 0;
+  for (const homeId of homes) {
+    try {
+      const result = await exportHome(options.dataDir, homeId, options.exportOptions);
+      const problems = Object.values(result.report.summary).reduce((sum, count) => sum + count, 0);
+      log(`✅ ${homeId}: ${result.devices} devices, ${result.rooms} rooms, ${problems} problem(s) -> ${result.files.join(', ')}`);
+    } catch (error) {
+      failures++;
+      console.error(`❌ ${homeId}: ${error.message}`);
+    }
+  }
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
@@ -33,8 +33,32 @@
     unlink($devicesFile);
   }
 
-  $geometryFile = $dataDir."/".$homeId."_geometry.zip";
-  if (file_exists($geometryFile)) {
-    unlink($geometryFile);
+  foreach (["_geometry.zip", "_geometry.glb"] as $suffix) {
+    $geometryFile = $dataDir."/".$homeId.$suffix;
+    if (file_exists($geometryFile)) {
+      unlink($geometryFile);
+    }
+  }
+
+  // Validation report of Export for Unity and scripts/export-homes.js
+  $reportFile = $dataDir."/".$homeId."_report.json";
+  if (file_exists($reportFile)) {
+    unlink($reportFile);
+  }
+
+  // Files saved by exportForUnity.php
+  foreach (["_home.json", "_model.obj", "_model.mtl"] as $suffix) {
+    $exportFile = $dataDir."/".$homeId.$suffix;
+    if (file_exists($exportFile)) {
+      unlink($exportFile);
+    }
+  }
+  $texturesDir = $dataDir."/".$homeId."_textures";
+  if (is_dir($texturesDir)) {
+    foreach (new RecursiveIteratorIterator(new RecursiveDirectoryIterator($texturesDir, FilesystemIterator::SKIP_DOTS),
+                                           RecursiveIteratorIterator::CHILD_FIRST) as $file) {
+      $file->isDir() ? rmdir($file->getPathname()) : unlink($file->getPathname());
+    }
+    rmdir($texturesDir);
   }
 ?>
\ No newline at end of file
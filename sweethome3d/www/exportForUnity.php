@@ -1,54 +1,164 @@
 <?php
-header('Content-Type: application/json');
-header('Access-Control-Allow-Origin: *');
-
-// Get input
-$homeName = $_POST['home_name'] ?? 'smart-home';
-$homeDataRaw = $_POST['home_data'] ?? null;
-$objData = $_POST['obj_data'] ?? null;  // OBJ file content
-$mtlData = $_POST['mtl_data'] ?? null;  // MTL file content
-
-// ... existing validation code ...
-
-// Existing device/room/wall extraction...
-$devices = extractDevices($homeData);
-$rooms = extractRooms($homeData);
-$walls = extractWalls($homeData);
-
-// ... existing JSON export code ...
-
-// NEW: Handle OBJ/MTL export if provided
-if ($objData) {
-    $objPath = $exportDir . $filename . '_model.obj';
-    file_put_contents($objPath, $objData);
-    
-    if ($mtlData) {
-        $mtlPath = $exportDir . $filename . '_model.mtl';
-        file_put_contents($mtlPath, $mtlData);
-    }
-    
-    // Copy to HA www folder for Unity access
-    if (file_exists($haPath) && is_writable($haPath)) {
-        copy($objPath, $haPath . 'model.obj');
-        if ($mtlData) {
-            copy($mtlPath, $haPath . 'model.mtl');
-        }
-        $haCopied = true;
-    }
-}
-
-// Update response to include OBJ info
-echo json_encode([
+  /*
+   * exportForUnity.php — saves a home exported by UnityExportUtilities.uploadHome
+   *
+   * multipart/form-data POST:
+   *   home_name  Id of the home, base name of the saved files (letters, digits, "-" and "_")
+   *   home_data  JSON of UnityExportUtilities.serializeHome(home)
+   *   obj_file   OBJ file (optional)
+   *   mtl_file   MTL file of the OBJ file (optional)
+   *   texture_files[]  Textures of the MTL file (optional), named as in its <home>_textures/ map_Kd paths
+   *
+   * Files are saved in the data directory, next to the home and its _devices.json and _geometry files:
+   *   <home>_home.json, <home>_model.obj, <home>_model.mtl, <home>_textures/
+   * and copied to /homeassistant/www/sweethome3d/ when Home Assistant's config is mounted,
+   * HA serving them at /local/sweethome3d/.
+   *
+   * Returns JSON: {"success":true,"devices_count":2,"rooms_count":3,"export_path":"data/home-abc_home.json",...}
+   * or {"success":false,"error":"..."} with an HTTP error status.
+   */
+
+  header('Content-Type: application/json');
+  header('Access-Control-Allow-Origin: *');
+
+  function fail($status, $message) {
+    http_response_code($status);
+    echo json_encode(['success' => false, 'error' => $message]);
+    exit;
+  }
+
+  // Deletes the directory $dir and its content
+  function deleteDirectory($dir) {
+    foreach (new RecursiveIteratorIterator(new RecursiveDirectoryIterator($dir, FilesystemIterator::SKIP_DOTS),
+                                           RecursiveIteratorIterator::CHILD_FIRST) as $file) {
+      $file->isDir() ? rmdir($file->getPathname()) : unlink($file->getPathname());
+    }
+    rmdir($dir);
+  }
+
+  // Moves the uploaded file $field to $path, returning false when it wasn't posted
+  function saveUploadedFile($field, $path) {
+    if (!isset($_FILES[$field]) || $_FILES[$field]['error'] === UPLOAD_ERR_NO_FILE) {
+      return false;
+    }
+    if ($_FILES[$field]['error'] !== UPLOAD_ERR_OK) {
+      fail(400, "Upload of $field failed (error " . $_FILES[$field]['error'] . ')');
+    }
+    if (!move_uploaded_file($_FILES[$field]['tmp_name'], $path)) {
+      fail(500, 'Cannot write ' . basename($path));
+    }
+    return true;
+  }
+
+  if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    fail(405, 'POST required');
+  }
+
+  $homeName = $_POST['home_name'] ?? 'smart-home';
+  $homeDataRaw = $_POST['home_data'] ?? null;
+
+  // Home names become file names
+  if (!preg_match('/^[A-Za-z0-9_-]+$/', $homeName)) {
+    fail(400, 'Invalid home_name');
+  }
+  if ($homeDataRaw === null) {
+    fail(400, 'Missing home_data');
+  }
+  $homeData = json_decode($homeDataRaw, true);
+  if (!is_array($homeData)) {
+    fail(400, 'Invalid home_data JSON: ' . json_last_error_msg());
+  }
+  foreach (['levels', 'walls', 'rooms', 'openings', 'furniture', 'cameras'] as $key) {
+    if (!isset($homeData[$key]) || !is_array($homeData[$key])) {
+      fail(400, "Missing $key in home_data");
+    }
+  }
+
+  $dataDir = is_dir('/data/homes') ? '/data/homes' : 'data';
+  if (!is_dir($dataDir) && !mkdir($dataDir, 0755, true)) {
+    fail(500, 'Cannot create data directory');
+  }
+
+  // Serialized home, then the OBJ model
+  $savedFiles = [];
+  $homePath = $dataDir . '/' . $homeName . '_home.json';
+  if (file_put_contents($homePath, json_encode($homeData, JSON_PRETTY_PRINT)) === false) {
+    fail(500, 'Cannot write ' . basename($homePath));
+  }
+  $savedFiles[] = $homePath;
+
+  $objPath = $dataDir . '/' . $homeName . '_model.obj';
+  $objSaved = saveUploadedFile('obj_file', $objPath);
+  if ($objSaved) {
+    $savedFiles[] = $objPath;
+    $mtlPath = $dataDir . '/' . $homeName . '_model.mtl';
+    if (saveUploadedFile('mtl_file', $mtlPath)) {
+      $savedFiles[] = $mtlPath;
+    }
+  }
+
+  // Textures of the MTL file, replacing those of the previous export
+  $texturesDir = $dataDir . '/' . $homeName . '_textures';
+  $texturesSaved = 0;
+  if (is_dir($texturesDir)) {
+    deleteDirectory($texturesDir);
+  }
+  if ($objSaved && isset($_FILES['texture_files']) && is_array($_FILES['texture_files']['name'])) {
+    $textures = $_FILES['texture_files'];
+    foreach ($textures['name'] as $i => $textureName) {
+      // Names may have subdirectories of model ZIPs (kept in full_path), but stay in the textures directory
+      $textureName = $textures['full_path'][$i] ?? $textureName;
+      if (!preg_match('/^[A-Za-z0-9_][A-Za-z0-9_ .\/-]*$/', $textureName) || strpos($textureName, '..') !== false) {
+        fail(400, "Invalid texture name $textureName");
+      }
+      if ($textures['error'][$i] !== UPLOAD_ERR_OK) {
+        fail(400, "Upload of texture $textureName failed (error " . $textures['error'][$i] . ')');
+      }
+      $texturePath = $texturesDir . '/' . $textureName;
+      if ((!is_dir(dirname($texturePath)) && !mkdir(dirname($texturePath), 0755, true))
+          || !move_uploaded_file($textures['tmp_name'][$i], $texturePath)) {
+        fail(500, "Cannot write texture $textureName");
+      }
+      $texturesSaved++;
+    }
+  }
+
+  // Copy to HA www folder for Unity access
+  $haPath = '/homeassistant/www/sweethome3d/';
+  $haCopied = false;
+  if (is_dir('/homeassistant/www') && (is_dir($haPath) || mkdir($haPath, 0755, true)) && is_writable($haPath)) {
+    $haCopied = true;
+    foreach ($savedFiles as $file) {
+      $haCopied = copy($file, $haPath . basename($file)) && $haCopied;
+    }
+    $haTexturesDir = $haPath . basename($texturesDir);
+    if (is_dir($haTexturesDir)) {
+      deleteDirectory($haTexturesDir);
+    }
+    if ($texturesSaved > 0) {
+      foreach (new RecursiveIteratorIterator(new RecursiveDirectoryIterator($texturesDir, FilesystemIterator::SKIP_DOTS)) as $file) {
+        $copy = $haTexturesDir . substr($file->getPathname(), strlen($texturesDir));
+        $haCopied = (is_dir(dirname($copy)) || mkdir(dirname($copy), 0755, true)) && copy($file->getPathname(), $copy) && $haCopied;
+      }
+    }
+  }
+
+  // Devices are the pieces with a device type (see DeviceTypeRegistry)
+  $devices = array_values(array_filter($homeData['furniture'], function($piece) {
+    return !empty($piece['deviceType']);
+  }));
+
+  echo json_encode([
     'success' => true,
     'devices_count' => count($devices),
-    'rooms_count' => count($rooms),
-    'export_path' => 'data/exports/' . basename($jsonPath),
-    'latest_path' => 'data/exports/' . basename($latestPath),
+    'rooms_count' => count($homeData['rooms']),
+    'export_path' => 'data/' . basename($homePath),
     'ha_path_copied' => $haCopied,
-    'obj_exported' => isset($objData),  // NEW
-    'obj_path' => isset($objData) ? 'data/exports/' . $filename . '_model.obj' : null,  // NEW
-    'timestamp' => $timestamp,
+    'obj_exported' => $objSaved,
+    'obj_path' => $objSaved ? 'data/' . basename($objPath) : null,
+    'textures_count' => $texturesSaved,
+    'timestamp' => date('c'),
     'devices' => array_map(function($d) {
-        return ['id' => $d['id'], 'name' => $d['name'], 'type' => $d['type']];
+      return ['id' => $d['id'], 'name' => $d['name'], 'type' => $d['deviceType']];
     }, $devices)
-]);
\ No newline at end of file
+  ]);
@@ -0,0 +1,162 @@
+/**
+ * device-properties.js
+ * Schema of the custom properties stored on smart device pieces (key, type, default, unit, validation),
+ * shared by the furniture dialog, furnitureService and "Export for Unity"
+ */
+
+class DeviceProperties {
+  /**
+   * Device properties by key. Each property has:
+   * - type: 'string', 'number' or 'enum' (one of values)
+   * - default: value of pieces without the property, null for effectRadius and cameraRange
+   *            that default to the radius of the device type (see DeviceTypeRegistry)
+   * - unit: unit of numbers ('m' or '°')
+   * - min, max: bounds of numbers, pattern: format of strings
+   * - aliases: older keys of the property, migrated to the current key (see migrate)
+   */
+  static get SCHEMA() {
+    const entityId = '^[a-z_]+\\.[a-z0-9_]+$';
+    return {
+      haDeviceType: { type: 'string', default: '', pattern: '^[a-z_]*$', aliases: [] },
+      haEntityId: { type: 'string', default: '', pattern: entityId, aliases: [] },
+      effectRadius: { type: 'number', default: null, unit: 'm', min: 0.5, max: 15, aliases: ['haEffectRadius'] },
+      cameraFieldOfView: { type: 'number', default: 60, unit: '°', min: 10, max: 360, aliases: [] },
+      cameraRange: { type: 'number', default: null, unit: 'm', min: 0.5, max: 30, aliases: [] },
+      controlsEntityId: { type: 'string', default: '', pattern: entityId, aliases: [] },
+      switchType: { type: 'enum', default: 'fixed', values: ['fixed', 'pressure'], aliases: [] }
+    };
+  }
+
+  /**
+   * Check a value of a property
+   * @returns {string|null} - Error message, or null when the value is valid
+   */
+  static validate(key, value) {
+    const property = DeviceProperties.SCHEMA[key];
+    if (!property) {
+      return `Unknown device property ${key}`;
+    }
+    switch (property.type) {
+      case 'number':
+        if (typeof value !== 'number' || isNaN(value)) {
+          return `${key} must be a number`;
+        }
+        if (value < property.min || value > property.max) {
+          return `${key} must be between ${property.min} and ${property.max} ${property.unit}`;
+        }
+        return null;
+      case 'enum':
+        return property.values.includes(value) ? null : `${key} must be one of ${property.values.join(', ')}`;
+      default:
+        if (typeof value !== 'string') {
+          return `${key} must be a string`;
+        }
+        return value === '' || new RegExp(property.pattern).test(value) ? null : `${key} "${value}" is invalid`;
+    }
+  }
+
+  /**
+   * Convert a stored property text to the type of the property.
+   * Strings are kept as typed, even when they don't match their pattern (e.g. entities renamed in Home Assistant)
+   * @returns {string|number|null} - Parsed value, or null when the text is missing, or an invalid number or enum value
+   */
+  static parse(key, text) {
+    if (text === null || text === undefined || text === '') {
+      return null;
+    }
+    const property = DeviceProperties.SCHEMA[key];
+    if (property.type === 'string') {
+      return String(text);
+    }
+    const value = property.type === 'number' ? parseFloat(text) : String(text);
+    return DeviceProperties.validate(key, value) === null ? value : null;
+  }
+
+  /**
+   * Get the value of a property of a piece, read from its older keys when needed,
+   * or the default of the property (the radius of deviceType for effectRadius and cameraRange)
+   * @param {Object} deviceType - Type of the piece in DeviceTypeRegistry, if known
+   */
+  static get(piece, key, deviceType = null) {
+    const property = DeviceProperties.SCHEMA[key];
+    for (const storedKey of [key, ...property.aliases]) {
+      let text = null;
+      try {
+        text = typeof piece.getProperty === 'function' ? piece.getProperty(storedKey) : null;
+      } catch (e) { /* Property doesn't exist, ok */ }
+      const value = DeviceProperties.parse(key, text);
+      if (value !== null) {
+        return value;
+      }
+    }
+    if (property.default === null) {
+      return deviceType ? deviceType.radius : null;
+    }
+    return property.default;
+  }
+
+  /**
+   * Store a property value in a piece, removing the property for empty strings.
+   * Strings are stored as typed (see parse), validate reporting those not matching their pattern
+   * @throws {Error} - When the value is an invalid number or enum value
+   */
+  static set(piece, key, value) {
+    if (value !== '' && DeviceProperties.SCHEMA[key].type !== 'string') {
+      const error = DeviceProperties.validate(key, value);
+      if (error) {
+        throw new Error(error);
+      }
+    }
+    piece.setProperty(key, value === '' ? null : String(value));
+  }
+
+  /**
+   * Move the properties of a piece stored under older keys to their current key
+   * @returns {Array} - Migrated keys, as 'oldKey -> key'
+   */
+  static migrate(piece) {
+    const migrated = [];
+    if (typeof piece.getProperty !== 'function' || typeof piece.setProperty !== 'function') {
+      return migrated;
+    }
+    for (const [key, property] of Object.entries(DeviceProperties.SCHEMA)) {
+      for (const alias of property.aliases) {
+        const text = piece.getProperty(alias);
+        if (text === null || text === undefined) {
+          continue;
+        }
+        // The current key wins over older ones
+        if (piece.getProperty(key) === null || piece.getProperty(key) === undefined) {
+          piece.setProperty(key, text);
+        }
+        piece.setProperty(alias, null);
+        migrated.push(`${alias} -> ${key}`);
+      }
+    }
+    return migrated;
+  }
+
+  /**
+   * Migrate the device properties of all the pieces of a home, including those of furniture groups
+   * @returns {number} - Count of migrated properties
+   */
+  static migrateHome(home) {
+    let count = 0;
+    for (const entry of OBJExporter.flattenFurniture((home.getFurniture ? home.getFurniture() : null) || [])) {
+      if (!entry.isGroup) {
+        count += DeviceProperties.migrate(entry.piece).length;
+      }
+    }
+    return count;
+  }
+}
+
+// Make the schema globally available
+if (typeof window !== 'undefined') {
+  window.DeviceProperties = DeviceProperties;
+}
+
+// Node.js export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DeviceProperties;
+}
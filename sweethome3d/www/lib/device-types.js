@@ -0,0 +1,180 @@
+/**
+ * device-types.js
+ * Registry of the smart device types, keyed by the ha_* ids of the Smart Devices catalog,
+ * shared by the furniture dialog and "Export for Unity"
+ */
+
+// Device types of DeviceTypeRegistry.TYPES, frozen as they're shared by every caller
+const DEVICE_TYPES = (() => {
+  const sensorEditors = Object.freeze(['entity', 'effectRadius']);
+  const switchEditors = Object.freeze(['entity', 'effectRadius', 'controlsEntity', 'switchType']);
+  return Object.freeze([
+    {
+      id: 'temperature_sensor', name: 'Temperature sensor',
+      catalogIds: ['ha_sensor_temperature', 'ha_sensor_temp_humidity'],
+      domains: ['sensor', 'climate'], effect: 'room_fill', radius: 5, particleType: 'heat', editors: sensorEditors
+    },
+    {
+      id: 'humidity_sensor', name: 'Humidity sensor',
+      catalogIds: ['ha_sensor_humidity'],
+      domains: ['sensor'], effect: 'room_fill', radius: 5, particleType: 'moisture', editors: sensorEditors
+    },
+    {
+      id: 'motion_sensor', name: 'Motion sensor',
+      catalogIds: ['ha_sensor_motion', 'ha_sensor_motion_light'],
+      domains: ['binary_sensor'], effect: 'circular', radius: 4, particleType: 'detection_wave', editors: sensorEditors
+    },
+    {
+      id: 'light_sensor', name: 'Light sensor',
+      catalogIds: ['ha_sensor_light'],
+      domains: ['sensor'], effect: 'room_fill', radius: 6, particleType: 'light', editors: sensorEditors
+    },
+    {
+      id: 'dimmer', name: 'Dimmer',
+      catalogIds: ['ha_light_dimmer'],
+      domains: ['light'], effect: 'circular', radius: 3, particleType: 'generic', editors: switchEditors
+    },
+    {
+      id: 'light', name: 'Light',
+      catalogIds: ['ha_light_bulb', 'ha_light_ceiling'],
+      domains: ['light'], effect: 'room_fill', radius: 6, particleType: 'light', editors: sensorEditors
+    },
+    {
+      id: 'camera', name: 'Camera',
+      catalogIds: [],
+      domains: ['camera'], effect: 'directional', radius: 8, particleType: 'vision_cone', editors: Object.freeze(['entity', 'camera'])
+    },
+    {
+      id: 'thermostat', name: 'Thermostat',
+      catalogIds: [],
+      domains: ['climate'], effect: 'circular', radius: 3, particleType: 'generic', editors: sensorEditors
+    },
+    {
+      id: 'smart_plug', name: 'Smart plug',
+      catalogIds: ['ha_switch_plug'],
+      domains: ['switch'], effect: 'circular', radius: 3, particleType: 'generic', editors: switchEditors
+    },
+    {
+      id: 'switch', name: 'Switch',
+      catalogIds: ['ha_switch_regular', 'ha_switch_pressure'],
+      domains: ['switch', 'light', 'input_boolean'], effect: 'circular', radius: 3, particleType: 'generic', editors: switchEditors
+    },
+    {
+      id: 'speaker', name: 'Speaker',
+      catalogIds: [],
+      domains: ['media_player'], effect: 'circular', radius: 6, particleType: 'sound_wave', editors: sensorEditors
+    },
+    {
+      id: 'lock', name: 'Lock',
+      catalogIds: [],
+      domains: ['lock'], effect: 'circular', radius: 3, particleType: 'generic', editors: sensorEditors
+    },
+    {
+      // Other smart pieces: unknown ha_* ids, or pieces made by HA or of a smart category
+      id: 'unknown', name: 'Other device',
+      catalogIds: [],
+      domains: [], effect: 'circular', radius: 3, particleType: 'generic', editors: sensorEditors
+    }
+  ].map(type => Object.freeze({ ...type, catalogIds: Object.freeze(type.catalogIds), domains: Object.freeze(type.domains) })));
+})();
+
+class DeviceTypeRegistry {
+  /**
+   * Piece property marking a piece of any catalog as a device type, or 'none' for a piece that isn't a device
+   */
+  static get PROPERTY() {
+    return 'haDeviceType';
+  }
+
+  /**
+   * Device types. Each type lists:
+   * - catalogIds: ids of its pieces in the Smart Devices catalog
+   * - domains: Home Assistant domains of the entities it can be linked to
+   * - effect, radius (meters) and particleType: default effect propagation exported for Unity
+   * - editors: properties edited in the furniture dialog ('entity', 'effectRadius', 'camera',
+   *            'controlsEntity', 'switchType')
+   */
+  static get TYPES() {
+    return DEVICE_TYPES;
+  }
+
+  /**
+   * Get a device type by id
+   * @returns {Object|null}
+   */
+  static get(typeId) {
+    return DeviceTypeRegistry.TYPES.find(type => type.id === typeId) || null;
+  }
+
+  /**
+   * Get the device type of a Smart Devices catalog id
+   * @returns {Object|null}
+   */
+  static getByCatalogId(catalogId) {
+    return DeviceTypeRegistry.TYPES.find(type => type.catalogIds.includes(catalogId)) || null;
+  }
+
+  /**
+   * Get the catalog id of a piece, also stored as a property in homes saved without it
+   */
+  static getCatalogId(piece) {
+    try {
+      return (piece.getCatalogId && piece.getCatalogId())
+        || (piece.getProperty && piece.getProperty('catalogId'))
+        || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the device type of a piece: the type it's marked as, or the type of its ha_* catalog id.
+   * Other pieces of the Smart Devices catalog are unknown devices
+   * @param {string|null} catalogId - Catalog id of the piece (default getCatalogId(piece))
+   * @param {string|null} mark - Type the piece is marked as (default its PROPERTY), 'none' when it isn't a device
+   * @returns {Object|null} - Device type, or null when the piece isn't a device
+   */
+  static resolve(piece, catalogId = DeviceTypeRegistry.getCatalogId(piece), mark = undefined) {
+    if (mark === undefined) {
+      try {
+        mark = piece.getProperty ? piece.getProperty(DeviceTypeRegistry.PROPERTY) : null;
+      } catch (e) {
+        mark = null;
+      }
+    }
+    if (mark === 'none') {
+      return null;
+    }
+    const marked = mark ? DeviceTypeRegistry.get(mark) : null;
+    if (marked) {
+      return marked;
+    }
+
+    const id = (catalogId || '').toLowerCase();
+    const catalogType = DeviceTypeRegistry.getByCatalogId(id);
+    if (catalogType) {
+      return catalogType;
+    }
+
+    // Pieces of the Smart Devices catalog
+    const creator = piece.getCreator ? piece.getCreator() : piece.creator;
+    let category = '';
+    try {
+      category = (piece.getCategory && piece.getCategory() && piece.getCategory().getName() || '').toLowerCase();
+    } catch (e) { /* Not a catalog piece */ }
+    if (id.startsWith('ha_') || creator === 'HA' || category.includes('smart')) {
+      return DeviceTypeRegistry.get('unknown');
+    }
+    return null;
+  }
+}
+
+// Make the registry globally available
+if (typeof window !== 'undefined') {
+  window.DeviceTypeRegistry = DeviceTypeRegistry;
+}
+
+// Node.js export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DeviceTypeRegistry;
+}
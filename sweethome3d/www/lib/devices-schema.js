@@ -0,0 +1,260 @@
+/**
+ * devices-schema.js
+ * Version of the <home>_devices.json files written by "Export for Unity" and their JSON Schema (devices.schema.json),
+ * with the validation run before each export is saved and the migration of older stored files
+ */
+
+class DevicesSchema {
+  /**
+   * Current version of _devices.json, written in its version field.
+   * Bump it with a new entry in MIGRATIONS and an updated devices.schema.json whenever the format changes.
+   */
+  static get VERSION() {
+    return '2.0';
+  }
+
+  /**
+   * JSON Schema (draft 2020-12) of the current _devices.json version, read from devices.schema.json
+   * next to this script, also used by Unity and other consumers of _devices.json
+   * @throws {Error} - When the schema wasn't loaded yet (see load)
+   */
+  static get SCHEMA() {
+    if (!DevicesSchema.loadedSchema) {
+      throw new Error('devices.schema.json not loaded: call DevicesSchema.load() first');
+    }
+    return DevicesSchema.loadedSchema;
+  }
+
+  /**
+   * Load devices.schema.json, once
+   * @returns {Promise<Object>} - The schema
+   * @throws {Error} - When the file can't be read, or describes another version than VERSION
+   */
+  static async load() {
+    if (!DevicesSchema.loadedSchema) {
+      let schema;
+      if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+        schema = require('./devices.schema.json');
+      } else {
+        const response = await fetch(DevicesSchema.schemaURL);
+        if (!response.ok) {
+          throw new Error(`Cannot read ${DevicesSchema.schemaURL}: ${response.status}`);
+        }
+        schema = await response.json();
+      }
+      if (!schema.properties || !schema.properties.version || schema.properties.version.const !== DevicesSchema.VERSION) {
+        throw new Error(`devices.schema.json doesn't describe _devices.json version ${DevicesSchema.VERSION}`);
+      }
+      DevicesSchema.loadedSchema = schema;
+    }
+    return DevicesSchema.loadedSchema;
+  }
+
+  /**
+   * Validate data against the schema of the current version, loaded before (see load)
+   * @param {Object} data - Parsed _devices.json
+   * @returns {Array} - Error messages prefixed by the JSON path of the invalid value, empty when data is valid
+   */
+  static validate(data, schema = DevicesSchema.SCHEMA) {
+    const errors = [];
+    DevicesSchema.validateValue(data, schema, '$', errors);
+    return errors;
+  }
+
+  /**
+   * Validate a value against the keywords of the schema subset used in devices.schema.json
+   */
+  static validateValue(value, schema, path, errors) {
+    if ('const' in schema && value !== schema.const) {
+      errors.push(`${path}: expected ${JSON.stringify(schema.const)}, found ${JSON.stringify(value)}`);
+      return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path}: expected one of ${schema.enum.join(', ')}, found ${JSON.stringify(value)}`);
+      return;
+    }
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      const actual = DevicesSchema.getJSONType(value);
+      if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+        errors.push(`${path}: expected ${types.join(' or ')}, found ${actual}`);
+        return;
+      }
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: ${value} is less than ${schema.minimum}`);
+    }
+    if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: "${value}" doesn't match ${schema.pattern}`);
+    }
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path}: expected at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path}: expected at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, i) => DevicesSchema.validateValue(item, schema.items, `${path}[${i}]`, errors));
+      }
+    } else if (value !== null && typeof value === 'object') {
+      for (const key of schema.required || []) {
+        if (!(key in value)) {
+          errors.push(`${path}: missing ${key}`);
+        }
+      }
+      for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        if (value[key] !== undefined) {
+          DevicesSchema.validateValue(value[key], propertySchema, `${path}.${key}`, errors);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the JSON Schema type of a value
+   */
+  static getJSONType(value) {
+    if (value === null) {
+      return 'null';
+    }
+    if (Array.isArray(value)) {
+      return 'array';
+    }
+    if (typeof value === 'number') {
+      return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+  }
+
+  /**
+   * Migrations from each older version to the next one, in version order
+   */
+  static get MIGRATIONS() {
+    return [
+      { from: '1.0', to: '2.0', migrate: DevicesSchema.migrateFrom1 }
+    ];
+  }
+
+  /**
+   * Upgrade a stored _devices.json to the current version
+   * @param {Object} data - Parsed _devices.json, left unchanged
+   * @returns {Object} - {data, migrated, fromVersion}: upgraded data, and whether it changed
+   * @throws {Error} - When the file comes from an unknown or newer version
+   */
+  static migrate(data) {
+    const fromVersion = data && data.version ? String(data.version) : '1.0';
+    let version = fromVersion;
+    let migrated = JSON.parse(JSON.stringify(data));
+    while (version !== DevicesSchema.VERSION) {
+      const migration = DevicesSchema.MIGRATIONS.find(m => m.from === version);
+      if (!migration) {
+        throw new Error(`Unsupported _devices.json version ${fromVersion} (expected ${DevicesSchema.VERSION} or older)`);
+      }
+      migrated = migration.migrate(migrated);
+      migrated.version = migration.to;
+      version = migration.to;
+    }
+    return { data: migrated, migrated: fromVersion !== DevicesSchema.VERSION, fromVersion };
+  }
+
+  /**
+   * Migrate version 1.0, in meters from the plan origin with right-handed axes,
+   * without lights, viewpoints, environment and room connections
+   */
+  static migrateFrom1(data) {
+    const unit = data.unitsystem === 'centimeters' ? 'centimeters' : 'meters';
+    data.unitsystem = unit;
+    // Version 1.0 described its axes without unit ({origin: 'center', ...}) but always used the plan origin
+    const coordinateSystem = data.coordinateSystem;
+    data.coordinateSystem = coordinateSystem && coordinateSystem.unit ? coordinateSystem : {
+      unit,
+      handedness: 'right',
+      origin: { type: 'plan', name: null, planX: 0, planY: 0 },
+      xAxis: 'plan x',
+      yAxis: 'up',
+      zAxis: 'plan y'
+    };
+    data.devices = data.devices || [];
+    data.rooms = data.rooms || [];
+    data.walls = data.walls || [];
+    data.roomConnections = data.roomConnections || [];
+    data.lights = data.lights || [];
+    data.viewpoints = data.viewpoints || [];
+    data.environment = data.environment || null;
+
+    data.devices.forEach((device, i) => {
+      device.id = device.id || `device_${i}`;
+      device.name = device.name !== undefined ? device.name : null;
+      device.type = device.type || 'unknown';
+      // Objects of the geometry weren't mapped to devices
+      device.objectName = device.objectName || null;
+      device.rotation = device.rotation || { y: 0 };
+      device.dimensions = device.dimensions || { width: 0, height: 0, depth: 0 };
+      // Sampled points of wall-constrained areas become their convex hull
+      const area = device.affectedArea;
+      if (area && area.type === 'point_cloud') {
+        device.affectedArea = {
+          type: 'polygon',
+          vertices: DevicesSchema.convexHull(area.points || []),
+          volume: area.volume,
+          boundedByWalls: true
+        };
+      }
+    });
+
+    const metadata = data.metadata || {};
+    data.metadata = {
+      ...metadata,
+      deviceCount: metadata.deviceCount !== undefined ? metadata.deviceCount : data.devices.length,
+      roomCount: metadata.roomCount !== undefined ? metadata.roomCount : data.rooms.length,
+      roomConnectionCount: data.roomConnections.length,
+      wallCount: metadata.wallCount !== undefined ? metadata.wallCount : data.walls.length,
+      lightCount: data.lights.length,
+      viewpointCount: data.viewpoints.length
+    };
+    return data;
+  }
+
+  /**
+   * Get the convex hull of {x, y, z} points in the floor plane, counterclockwise seen from above
+   */
+  static convexHull(points) {
+    const sorted = points.slice().sort((a, b) => a.x - b.x || a.z - b.z);
+    if (sorted.length < 3) {
+      return sorted;
+    }
+    const cross = (o, a, b) => (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
+    const lower = [];
+    for (const p of sorted) {
+      while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) {
+        lower.pop();
+      }
+      lower.push(p);
+    }
+    const upper = [];
+    for (const p of sorted.reverse()) {
+      while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) {
+        upper.pop();
+      }
+      upper.push(p);
+    }
+    return lower.slice(0, -1).concat(upper.slice(0, -1));
+  }
+}
+
+// Loaded schema, and URL of devices.schema.json, next to this script
+DevicesSchema.loadedSchema = null;
+DevicesSchema.schemaURL = typeof document !== 'undefined' && document.currentScript && document.currentScript.src
+  ? new URL('devices.schema.json', document.currentScript.src).href
+  : 'lib/devices.schema.json';
+
+// Make the schema globally available
+if (typeof window !== 'undefined') {
+  window.DevicesSchema = DevicesSchema;
+}
+
+// Node.js export
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DevicesSchema;
+}
@@ -0,0 +1,490 @@
+/**
+ * GLTFExporter.js - Export SweetHome3D scene to binary glTF 2.0 (GLB)
+ * Reuses the OBJExporter traversal and geometry, keeping one node per wall, room and piece
+ * of furniture, grouped under one node per level, with device metadata in node extras.
+ *
+ * Usage:
+ *   const exporter = new GLTFExporter();
+ *   exporter.exportToGLB(home, component3D, 'my-home.glb');
+ */
+
+// In Node.js, OBJExporter isn't a global
+const GLTFExporterBase = typeof OBJExporter !== 'undefined' ? OBJExporter : require('./objExporter.js');
+
+class GLTFExporter extends GLTFExporterBase {
+  constructor() {
+    super();
+    this.nodes = [];
+    this.nodeDepth = 0;
+  }
+
+  /**
+   * Main export function - exports entire home to a GLB file
+   * @param {Home} home - The SweetHome3D home object
+   * @param {HomeComponent3D} component3D - The 3D component with rendered scene
+   * @param {string} filename - Output filename (will be .glb)
+   * @param {Object} options - Export options (see OBJExporter.exportToOBJ); options.devices are mapped to their nodes.
+   *                           Like the OBJ export, the geometry and the GLB file are built in objExportWorker.js when available.
+   *                           options.origin moves the origin of coordinates; unit and handedness are ignored:
+   *                           glTF is always in meters with right-handed axes.
+   */
+  async exportToGLB(home, component3D, filename = 'home.glb', options = {}) {
+    if (!home) {
+      throw new Error('Home object is null or undefined');
+    }
+
+    this.reset();
+
+    try {
+      this.coordinateTransform = options.coordinateTransform
+        || GLTFExporterBase.getCoordinateTransform(home, { ...options, unit: 'm', handedness: 'right' });
+      if (this.coordinateTransform.unit !== 'm' || this.coordinateTransform.handedness !== 'right') {
+        throw new Error('GLB coordinates must be in meters with right-handed axes');
+      }
+
+      const glbFilename = filename.endsWith('.glb') ? filename : filename + '.glb';
+      let glbBlob = await this.exportInWorker(home, 'glb', glbFilename.slice(0, -4), '', options);
+      if (!glbBlob) {
+        await this.exportHome(home, component3D, options);
+        this.applyOutputCoordinates(this.coordinateTransform);
+        glbBlob = new Blob([this.buildGLB(home, options.devices)], { type: 'model/gltf-binary' });
+      }
+      this.downloadBlob(glbBlob, glbFilename);
+
+      const result = {
+        success: true,
+        nodes: this.nodes.length,
+        vertices: this.vertices.length,
+        faces: this.faces.length,
+        materials: this.materials.size,
+        textures: this.textures.size,
+        issues: this.getExportIssues()
+      };
+
+      console.log('✅ GLB Export completed:', result);
+      return result;
+
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('❌ GLB Export error:', error);
+        console.error('Stack trace:', error.stack);
+      }
+      throw error;
+    }
+  }
+
+  // ========================================================================
+  // Node tracking - each exported item becomes a node owning its faces
+  // ========================================================================
+
+  async exportWall(wall, name) {
+    const firstFace = this.beginNode();
+    await super.exportWall(wall, name);
+    this.endNode(name, 'wall', wall, firstFace);
+  }
+
+  async exportRoom(room, name) {
+    const firstFace = this.beginNode();
+    await super.exportRoom(room, name);
+    this.endNode(name, 'room', room, firstFace);
+  }
+
+  async integrateOBJContent(objContent, x, y, elevation, angle, name, piece, materialTextureMap = new Map()) {
+    const firstFace = this.beginNode();
+    await super.integrateOBJContent(objContent, x, y, elevation, angle, name, piece, materialTextureMap);
+    this.endNode(name, 'furniture', piece, firstFace);
+  }
+
+  exportFurnitureBoundingBox(piece, name) {
+    const firstFace = this.beginNode();
+    super.exportFurnitureBoundingBox(piece, name);
+    this.endNode(name, 'furniture', piece, firstFace);
+  }
+
+  /**
+   * Start recording the faces of a node
+   * @returns {number} - Index of the first face of the node
+   */
+  beginNode() {
+    this.nodeDepth++;
+    return this.faces.length;
+  }
+
+  /**
+   * Record a node owning the faces added since beginNode (nested calls belong to the outer node)
+   */
+  endNode(name, type, item, firstFace) {
+    this.nodeDepth--;
+    if (this.nodeDepth > 0 || this.faces.length === firstFace) {
+      return;
+    }
+    this.nodes.push({
+      name: this.currentObject || name,
+      type,
+      item,
+      group: this.currentGroup,
+      parents: this.currentParents,
+      firstFace,
+      lastFace: this.faces.length
+    });
+  }
+
+  /**
+   * Build the extras of a node: item type, name and, for furniture, its Home Assistant metadata
+   */
+  getNodeExtras(node, deviceIds) {
+    const item = node.item;
+    const extras = { type: node.type };
+    if (deviceIds.has(node.name)) {
+      extras.deviceId = deviceIds.get(node.name);
+    }
+    const itemName = item.getName ? item.getName() : null;
+    if (itemName) {
+      extras.name = itemName;
+    }
+    if (node.type !== 'furniture') {
+      return extras;
+    }
+
+    const catalogId = (item.getCatalogId ? item.getCatalogId() : null) || '';
+    if (catalogId) {
+      extras.catalogId = catalogId;
+    }
+    for (const key of ['haEntityId', 'controlsEntityId']) {
+      const value = typeof DeviceProperties !== 'undefined' ? DeviceProperties.get(item, key) : '';
+      if (value.length > 0) {
+        extras[key] = value;
+      }
+    }
+    const deviceType = typeof DeviceTypeRegistry !== 'undefined' ? DeviceTypeRegistry.resolve(item) : null;
+    if (deviceType) {
+      extras.deviceType = deviceType.id;
+    }
+    return extras;
+  }
+
+  // ========================================================================
+  // GLB Building
+  // ========================================================================
+
+  /**
+   * Build the GLB file from the exported nodes
+   * Positions are expected in meters (see OBJExporter.applyOutputCoordinates); axes are kept (Y up, Z = plan Y).
+   * @param {Home} home - The SweetHome3D home object
+   * @param {Array} devices - Devices with id and objectName, mapped to node names in the scene extras
+   * @returns {ArrayBuffer} - GLB binary content
+   */
+  buildGLB(home, devices = []) {
+    // Same device -> object mapping as the OBJ export manifest
+    const deviceIds = new Map();
+    const deviceNodes = {};
+    const nodeNames = new Set(this.nodes.map(node => node.name));
+    for (const device of devices || []) {
+      if (device.objectName && nodeNames.has(device.objectName)) {
+        deviceIds.set(device.objectName, device.id);
+        deviceNodes[device.id] = device.objectName;
+      }
+    }
+
+    const gltf = {
+      asset: { version: '2.0', generator: 'GLTFExporter.js for Unity Digital Twin Integration' },
+      scene: 0,
+      scenes: [{ name: home.getName ? home.getName() || 'Home' : 'Home', nodes: [], extras: { unitsystem: 'meters', coordinateSystem: this.coordinateTransform ? this.coordinateTransform.toJSON() : null, devices: deviceNodes } }],
+      nodes: [],
+      meshes: [],
+      materials: [],
+      accessors: [],
+      bufferViews: [],
+      buffers: []
+    };
+    const chunks = [];
+    let byteLength = 0;
+
+    const addBufferView = (typedArray, target) => {
+      const padding = (4 - (byteLength % 4)) % 4;
+      if (padding > 0) {
+        chunks.push(new Uint8Array(padding));
+        byteLength += padding;
+      }
+      const bytes = new Uint8Array(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength);
+      chunks.push(bytes);
+      const view = { buffer: 0, byteOffset: byteLength, byteLength: bytes.byteLength };
+      if (target) {
+        view.target = target;
+      }
+      byteLength += bytes.byteLength;
+      gltf.bufferViews.push(view);
+      return gltf.bufferViews.length - 1;
+    };
+
+    const addAccessor = (typedArray, componentType, type, count, target, bounds) => {
+      const accessor = {
+        bufferView: addBufferView(typedArray, target),
+        componentType,
+        count,
+        type
+      };
+      if (bounds) {
+        accessor.min = bounds.min;
+        accessor.max = bounds.max;
+      }
+      gltf.accessors.push(accessor);
+      return gltf.accessors.length - 1;
+    };
+
+    // Materials, with textures embedded once in the binary chunk, even when shared by several materials
+    const materialIndices = new Map();
+    const textureIndices = new Map();
+    const materialsUsedByArchitecture = new Set(this.nodes
+      .filter(node => node.type !== 'furniture')
+      .flatMap(node => this.faces.slice(node.firstFace, node.lastFace).map(face => face.material)));
+    const getMaterialIndex = (materialName) => {
+      if (!materialIndices.has(materialName)) {
+        gltf.materials.push(this.buildGLTFMaterial(gltf, materialName,
+          materialsUsedByArchitecture.has(materialName), addBufferView, textureIndices));
+        materialIndices.set(materialName, gltf.materials.length - 1);
+      }
+      return materialIndices.get(materialName);
+    };
+
+    // Level nodes, then furniture group nodes, in export order
+    const levelNodes = new Map();
+    const groupNodes = new Map();
+    for (const node of this.nodes) {
+      let parent = gltf.scenes[0].nodes;
+      if (node.group) {
+        if (!levelNodes.has(node.group)) {
+          gltf.nodes.push({ name: node.group, children: [], extras: { type: 'level' } });
+          levelNodes.set(node.group, gltf.nodes.length - 1);
+          gltf.scenes[0].nodes.push(gltf.nodes.length - 1);
+        }
+        parent = gltf.nodes[levelNodes.get(node.group)].children;
+      }
+      for (const group of node.parents || []) {
+        if (!groupNodes.has(group.name)) {
+          gltf.nodes.push({ name: group.name, children: [], extras: this.getNodeExtras({ name: group.name, type: 'group', item: group.piece }, deviceIds) });
+          groupNodes.set(group.name, gltf.nodes.length - 1);
+          parent.push(gltf.nodes.length - 1);
+        }
+        parent = gltf.nodes[groupNodes.get(group.name)].children;
+      }
+
+      const primitives = [];
+      for (const [materialName, faces] of this.groupFacesByMaterial(node)) {
+        const primitive = this.buildPrimitiveData(faces);
+        const attributes = {
+          POSITION: addAccessor(primitive.positions, 5126, 'VEC3', primitive.count, 34962, primitive.bounds),
+          NORMAL: addAccessor(primitive.normals, 5126, 'VEC3', primitive.count, 34962)
+        };
+        if (primitive.texCoords) {
+          attributes.TEXCOORD_0 = addAccessor(primitive.texCoords, 5126, 'VEC2', primitive.count, 34962);
+        }
+        primitives.push({
+          attributes,
+          indices: addAccessor(primitive.indices, 5125, 'SCALAR', primitive.indices.length, 34963),
+          material: getMaterialIndex(materialName),
+          mode: 4
+        });
+      }
+
+      gltf.meshes.push({ name: node.name, primitives });
+      gltf.nodes.push({ name: node.name, mesh: gltf.meshes.length - 1, extras: this.getNodeExtras(node, deviceIds) });
+      parent.push(gltf.nodes.length - 1);
+    }
+
+    gltf.buffers.push({ byteLength });
+    return this.packGLB(gltf, chunks, byteLength);
+  }
+
+  /**
+   * Group the faces of a node by material, in order of first use
+   * @returns {Map} - Material name -> faces
+   */
+  groupFacesByMaterial(node) {
+    const groups = new Map();
+    for (let i = node.firstFace; i < node.lastFace; i++) {
+      const face = this.faces[i];
+      if (!groups.has(face.material)) {
+        groups.set(face.material, []);
+      }
+      groups.get(face.material).push(face);
+    }
+    return groups;
+  }
+
+  /**
+   * Build indexed vertex data for faces, sharing vertices with identical position, normal and texture coordinates
+   * Triangles are wound counterclockwise around their normal, as glTF expects.
+   */
+  buildPrimitiveData(faces) {
+    const hasTexCoords = faces.some(face => face.texCoords[0] !== null && face.texCoords[0] !== undefined);
+    const positions = [];
+    const normals = [];
+    const texCoords = [];
+    const indices = [];
+    const vertexIndices = new Map();
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+
+    for (const face of faces) {
+      const corners = face.vertices.map(v => this.vertices[v - 1]);
+      const ax = corners[1][0] - corners[0][0], ay = corners[1][1] - corners[0][1], az = corners[1][2] - corners[0][2];
+      const bx = corners[2][0] - corners[0][0], by = corners[2][1] - corners[0][1], bz = corners[2][2] - corners[0][2];
+      const geometricNormal = [ay * bz - az * by, az * bx - ax * bz, ax * by - ay * bx];
+      const length = Math.sqrt(geometricNormal[0] ** 2 + geometricNormal[1] ** 2 + geometricNormal[2] ** 2);
+      if (length === 0) {
+        continue;
+      }
+
+      // Stored normals, or the geometric normal when missing
+      const faceNormals = face.normals.map(n => (n !== null && n !== undefined && this.normals[n - 1])
+        ? this.normals[n - 1]
+        : geometricNormal.map(c => c / length));
+      const averageNormal = [0, 1, 2].map(c => faceNormals[0][c] + faceNormals[1][c] + faceNormals[2][c]);
+      const order = averageNormal[0] * geometricNormal[0] + averageNormal[1] * geometricNormal[1]
+        + averageNormal[2] * geometricNormal[2] < 0 ? [0, 2, 1] : [0, 1, 2];
+
+      for (const corner of order) {
+        const normal = faceNormals[corner];
+        const normalLength = Math.sqrt(normal[0] ** 2 + normal[1] ** 2 + normal[2] ** 2) || 1;
+        const t = face.texCoords[corner];
+        const uv = hasTexCoords && t !== null && t !== undefined ? this.texCoords[t - 1] : [0, 0];
+        const key = `${face.vertices[corner]}/${face.normals[corner]}/${t}`;
+        let index = vertexIndices.get(key);
+        if (index === undefined) {
+          index = positions.length / 3;
+          vertexIndices.set(key, index);
+          const position = corners[corner];
+          for (let c = 0; c < 3; c++) {
+            positions.push(position[c]);
+            normals.push(normal[c] / normalLength);
+            if (position[c] < min[c]) min[c] = position[c];
+            if (position[c] > max[c]) max[c] = position[c];
+          }
+          if (hasTexCoords) {
+            // glTF texture coordinates start at the top of the image
+            texCoords.push(uv[0], 1 - uv[1]);
+          }
+        }
+        indices.push(index);
+      }
+    }
+
+    return {
+      count: positions.length / 3,
+      positions: new Float32Array(positions),
+      normals: new Float32Array(normals),
+      texCoords: hasTexCoords ? new Float32Array(texCoords) : null,
+      indices: new Uint32Array(indices),
+      bounds: { min: positions.length > 0 ? min : [0, 0, 0], max: positions.length > 0 ? max : [0, 0, 0] }
+    };
+  }
+
+  /**
+   * Convert an exported material to a glTF PBR material
+   * Walls, floors and ceilings are double sided, like SweetHome3D renders them.
+   * @param {Map} textureIndices - glTF texture indices by texture name, filled with the textures added to gltf
+   */
+  buildGLTFMaterial(gltf, materialName, doubleSided, addBufferView, textureIndices) {
+    const material = this.materials.get(materialName) || { diffuse: [0.8, 0.8, 0.8], shininess: 30, transparency: 1.0 };
+    const alpha = material.transparency !== undefined ? material.transparency : 1.0;
+    const shininess = material.shininess !== undefined ? material.shininess : 30;
+    const gltfMaterial = {
+      name: materialName,
+      pbrMetallicRoughness: {
+        baseColorFactor: material.texture ? [1, 1, 1, alpha] : [...material.diffuse.slice(0, 3), alpha],
+        metallicFactor: 0,
+        roughnessFactor: Math.max(0.1, 1 - Math.min(shininess, 128) / 128)
+      },
+      doubleSided
+    };
+    if (alpha < 1) {
+      gltfMaterial.alphaMode = 'BLEND';
+    }
+
+    // glTF only supports PNG and JPEG images
+    const imageData = material.texture ? this.textures.get(material.texture) : null;
+    const mimeType = material.texture && /\.png$/i.test(material.texture) ? 'image/png'
+      : material.texture && /\.jpe?g$/i.test(material.texture) ? 'image/jpeg' : null;
+    if (imageData && mimeType) {
+      if (!textureIndices.has(material.texture)) {
+        gltf.images = gltf.images || [];
+        gltf.textures = gltf.textures || [];
+        gltf.samplers = gltf.samplers || [{ wrapS: 10497, wrapT: 10497 }];
+        gltf.images.push({ name: material.texture, mimeType, bufferView: addBufferView(new Uint8Array(imageData)) });
+        gltf.textures.push({ sampler: 0, source: gltf.images.length - 1 });
+        textureIndices.set(material.texture, gltf.textures.length - 1);
+      }
+      gltfMaterial.pbrMetallicRoughness.baseColorTexture = { index: textureIndices.get(material.texture) };
+    }
+    return gltfMaterial;
+  }
+
+  /**
+   * Pack the glTF JSON and binary chunks into a GLB container
+   */
+  packGLB(gltf, chunks, binaryLength) {
+    const jsonBytes = new TextEncoder().encode(JSON.stringify(gltf));
+    const jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+    const binLength = Math.ceil(binaryLength / 4) * 4;
+    const totalLength = 12 + 8 + jsonLength + 8 + binLength;
+
+    const glb = new ArrayBuffer(totalLength);
+    const view = new DataView(glb);
+    const bytes = new Uint8Array(glb);
+
+    // Header
+    view.setUint32(0, 0x46546C67, true); // 'glTF'
+    view.setUint32(4, 2, true);
+    view.setUint32(8, totalLength, true);
+
+    // JSON chunk, padded with spaces
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, 0x4E4F534A, true); // 'JSON'
+    bytes.set(jsonBytes, 20);
+    bytes.fill(0x20, 20 + jsonBytes.length, 20 + jsonLength);
+
+    // Binary chunk, padded with zeros
+    const binStart = 20 + jsonLength;
+    view.setUint32(binStart, binLength, true);
+    view.setUint32(binStart + 4, 0x004E4942, true); // 'BIN'
+    let offset = binStart + 8;
+    for (const chunk of chunks) {
+      bytes.set(chunk, offset);
+      offset += chunk.byteLength;
+    }
+
+    return glb;
+  }
+
+  /**
+   * Get the exporter state sent back by objExportWorker.js, with the nodes of the GLB file
+   * (without their items and pieces, which stay in the worker)
+   */
+  getWorkerState() {
+    return {
+      ...super.getWorkerState(),
+      nodes: this.nodes.map(({ item, parents, ...node }) =>
+        ({ ...node, parents: parents.map(({ piece, ...parent }) => parent) }))
+    };
+  }
+
+  /**
+   * Reset exporter state
+   */
+  reset() {
+    super.reset();
+    this.nodes = [];
+    this.nodeDepth = 0;
+  }
+}
+
+// Make the exporter globally available, like OBJExporter (see obj-exporter-integration.js)
+if (typeof window !== 'undefined') {
+  window.GLTFExporter = GLTFExporter;
+}
+
+// Export for use in browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GLTFExporter;
+}
@@ -0,0 +1,94 @@
+/**
+ * objExportWorker.js
+ * Web Worker exporting the geometry of a home off the page thread: it reads a copy of the home from its XML
+ * with the SweetHome3D JS libraries, builds its walls, rooms and furniture models (model OBJ files included),
+ * then the OBJ, MTL and ZIP files, or the GLB file
+ *
+ * Message received: { format, baseName, baseURL, objHeader, homeXML, transform, options } (see OBJExporter.exportInWorker)
+ * Messages sent: { progress: { phase, done, total } } while exporting, then { blob, state } or { error }
+ * where state is OBJExporter.getWorkerState()
+ */
+
+/**
+ * Build an object accepting any property access, call or construction, except for the given properties.
+ * SweetHome3D JS touches the DOM when its scripts load; no view is ever created here.
+ */
+function createStub(properties = {}) {
+  return new Proxy(function () {}, {
+    get: (target, key) => key in properties ? properties[key]
+      : key === Symbol.toPrimitive ? () => '' : key === 'length' ? 0 : createStub(),
+    apply: () => createStub(),
+    construct: () => createStub()
+  });
+}
+
+self.window = self;
+// No currentScript: OBJExporter.workerURL stays null
+self.document = createStub({ currentScript: null });
+self.Image = createStub();
+
+// Scripts of index.html needed to read homes and export them, in loading order
+importScripts(
+  'big.min.js',
+  'gl-matrix-min.js',
+  'jszip.min.js',
+  'jsXmlSaxParser.min.js',
+  'core.min.js',
+  'geom.min.js',
+  'stroke.min.js',
+  'swingundo.min.js',
+  'batik-svgpathparser.min.js',
+  'triangulator.min.js',
+  'graphics2d.min.js',
+  'recorderworker.min.js',
+  'sweethome3d.min.js',
+  'objDefaults.js',
+  'objExporter.js',
+  'gltfExporter.js'
+);
+
+// Relative URLs of the exporters (e.g. lib/resources/models/<catalogId>.zip) are relative to the page,
+// not to this worker: they're resolved against the base URL of the page sent with each export
+let pageURL = self.location.href;
+const workerFetch = self.fetch.bind(self);
+self.fetch = (url, init) => workerFetch(typeof url === 'string' ? new URL(url, pageURL).href : url, init);
+const getZIP = ZIPTools.getZIP;
+ZIPTools.getZIP = (url, synchronous, observer) => getZIP.call(ZIPTools, new URL(url, pageURL).href, synchronous, observer);
+
+/**
+ * Read a home from the XML written by OBJExporter.getHomeXML, as HomeRecorder does
+ * @returns {Home}
+ */
+function readHome(homeXML) {
+  const handler = new HomeXMLHandler();
+  const parser = new SAXParser(handler, handler, handler, handler, handler);
+  parser.parseString(homeXML.replace(/'/g, '"'));
+  return handler.getHome();
+}
+
+self.onmessage = async (event) => {
+  const { format, baseName, baseURL, objHeader, homeXML, transform, options } = event.data;
+  pageURL = baseURL;
+  try {
+    const home = readHome(homeXML);
+    if (options.selection) {
+      OBJExporter.selectItems(home, options.selection);
+    }
+    const exporter = format === 'glb' ? new GLTFExporter() : new OBJExporter();
+    exporter.coordinateTransform = OBJExporter.createCoordinateTransform(transform.unit, transform.handedness, transform.origin);
+    const exportOptions = {
+      ...options,
+      onProgress: progress => self.postMessage({ progress }),
+      workerURL: null
+    };
+
+    await exporter.exportHome(home, null, exportOptions);
+    exporter.applyOutputCoordinates(exporter.coordinateTransform);
+    const blob = format === 'glb'
+      ? new Blob([exporter.buildGLB(home, options.devices)], { type: 'model/gltf-binary' })
+      : await exporter.buildZip(baseName, objHeader, exportOptions);
+    self.postMessage({ blob, state: exporter.getWorkerState() });
+  } catch (error) {
+    self.postMessage({ error: error.message });
+  }
+};
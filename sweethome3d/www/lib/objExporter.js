@@ -20,6 +20,16 @@ class OBJExporter {
     this.materials = new Map();
     this.textures = new Map();
     this.currentMaterial = null;
+    this.currentGroup = null;
+    this.currentObject = null;
+    this.objects = []; // Exported objects, for the manifest
+    this.coordinateTransform = null; // Transform of exported coordinates (see getCoordinateTransform)
+    this.objectStart = null;
+    this.currentParents = []; // Furniture groups enclosing the current object, outermost first
+    this.objectParents = new Map(); // Object name -> names of its enclosing groups
+    this.lastYieldTime = 0; // Last time an export gave the page a chance to handle events
+    this.triangleBudget = 0; // Max triangles per furniture model, 0 = no decimation
+    this.exportIssues = { boxes: [], missingTextures: [] }; // Problems met during the export (see getExportIssues)
     this.vertexIndex = 1;
     this.normalIndex = 1;
     this.texCoordIndex = 1;
@@ -44,8 +54,27 @@ class OBJExporter {
    * @param {Home} home - The SweetHome3D home object
    * @param {HomeComponent3D} component3D - The 3D component with rendered scene
    * @param {string} filename - Output filename (will be .zip)
+   * @param {Object} options - Export options
+   * @param {Level|string|number|Array|null} options.level - Level(s) to export (Level object, id, name or index, or an array of them); null exports all levels
+   * @param {boolean} options.includeInvisible - Export invisible furniture (default true)
+   * @param {boolean} options.selectedOnly - Export only the selected walls, rooms and furniture (default false)
+   * @param {boolean} options.includeDecorative - Export furniture other than devices, doors and windows (default true)
+   * @param {string} options.origin - Origin of the OBJ coordinates: 'plan' (default), 'center' of the exported items,
+   *                                  or the text of a label or the name of a piece of furniture
+   * @param {string} options.unit - Unit of the OBJ coordinates: 'cm' (default) or 'm'
+   * @param {string} options.handedness - Axes of the OBJ coordinates: 'right' (default, Z = plan Y) or 'left' (Z = -plan Y)
+   * @param {Object} options.coordinateTransform - Transform from getCoordinateTransform, replacing origin, unit and handedness
+   * @param {Array} options.devices - Devices from UnityExportUtilities.extractDeviceMetadata, mapped to their objects in manifest.json
+   * @param {boolean} options.ground - Export a ground plane around the exported items, with the ground color or texture of the home (default false)
+   * @param {Function} options.onProgress - Called with {phase, done, total}, phase being 'prefetch', 'walls', 'rooms', 'integrate' or 'zip'
+   * @param {AbortSignal} options.signal - Cancels the export, which then rejects with an error named 'AbortError'
+   * @param {string|null} options.workerURL - URL of objExportWorker.js (default OBJExporter.workerURL), exporting the geometry
+   *                                          and building files off the page thread; null exports on the calling thread
+   * @param {boolean|Object} options.optimize - Optimize geometry for WebGL: true, or {triangleBudget, weldTolerance} where
+   *                                            triangleBudget decimates furniture models with more triangles (0 = no decimation)
+   *                                            and weldTolerance is the distance in cm under which vertices are welded (default 0.01)
    */
-  async exportToOBJ(home, component3D, filename = 'home.zip') {
+  async exportToOBJ(home, component3D, filename = 'home.zip', options = {}) {
     // Uncomment for debugging export initialization
     // console.log('🚀 Starting OBJ export...');
     // console.log('Home:', home);
@@ -65,29 +94,26 @@ class OBJExporter {
     this.reset();
     
     try {
+      // Coordinates of the exported geometry, described in the header and the manifest
+      this.coordinateTransform = options.coordinateTransform || OBJExporter.getCoordinateTransform(home, options);
+
       // Export header
-      const objHeader = this.generateHeader(home);
+      const objHeader = this.generateHeader(home, this.coordinateTransform);
       
       // Reference to MTL file
       const mtlFileName = 'materials.mtl';
-      let objContent = objHeader;
-      objContent += `mtllib ${mtlFileName}\n\n`;
-      
-      // Export geometry from home
-      await this.exportHome(home, component3D);
-      
-      // Build OBJ file content
-      objContent += this.buildOBJContent();
-      
-      // Build MTL file content
-      const mtlContent = this.buildMTLContent();
-      
-      // Create ZIP file with OBJ, MTL, and textures
-      const zipBlob = await this.createZipFile(
-        filename.replace('.zip', ''),
-        objContent,
-        mtlContent
-      );
+      const baseName = filename.replace('.zip', '');
+
+      // Export geometry in a worker, the page staying responsive
+      let zipBlob = await this.exportInWorker(home, 'obj', baseName, objHeader + `mtllib ${mtlFileName}\n\n`, options);
+      if (!zipBlob) {
+        // Export geometry from home, in the requested origin, unit and axes
+        await this.exportHome(home, component3D, options);
+        this.applyOutputCoordinates(this.coordinateTransform);
+
+        // Build OBJ, MTL and manifest files, and ZIP them with textures
+        zipBlob = await this.buildZip(baseName, objHeader + `mtllib ${mtlFileName}\n\n`, options);
+      }
       
       // Trigger download
       this.downloadBlob(zipBlob, filename.endsWith('.zip') ? filename : filename + '.zip');
@@ -97,113 +123,207 @@ class OBJExporter {
         vertices: this.vertices.length,
         faces: this.faces.length,
         materials: this.materials.size,
-        textures: this.textures.size
+        textures: this.textures.size,
+        issues: this.getExportIssues()
       };
 
       console.log('✅ OBJ Export completed:', result);
       return result;
       
     } catch (error) {
-      console.error('❌ OBJ Export error:', error);
-      console.error('Stack trace:', error.stack);
+      if (error.name !== 'AbortError') {
+        console.error('❌ OBJ Export error:', error);
+        console.error('Stack trace:', error.stack);
+      }
       throw error;
     }
   }
 
+  /**
+   * Report export progress to options.onProgress, giving the page a chance to repaint
+   * and to handle events at most every 50 ms
+   * @param {Object} options - Export options (see exportToOBJ)
+   * @param {string} phase - 'prefetch', 'walls', 'rooms', 'integrate' or 'zip'
+   * @throws {Error} - AbortError if options.signal was aborted
+   */
+  async reportProgress(options, phase, done, total) {
+    if (options.signal && options.signal.aborted) {
+      throw OBJExporter.createAbortError();
+    }
+    if (options.onProgress) {
+      options.onProgress({ phase, done, total });
+    }
+    if (Date.now() - this.lastYieldTime > 50) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      this.lastYieldTime = Date.now();
+      if (options.signal && options.signal.aborted) {
+        throw OBJExporter.createAbortError();
+      }
+    }
+  }
+
+  /**
+   * Create the error thrown by a cancelled export
+   */
+  static createAbortError() {
+    const error = new Error('Export cancelled');
+    error.name = 'AbortError';
+    return error;
+  }
+
   /**
    * Generate OBJ file header
+   * @param {Object} transform - Coordinate transform of the exported geometry (see getCoordinateTransform)
    */
-  generateHeader(home) {
+  generateHeader(home, transform) {
     const date = new Date().toISOString();
     const homeName = home.getName ? home.getName() : 'Untitled';
+    const origin = transform.origin;
+    const originName = origin.type === 'point' ? ` "${origin.name}"` : '';
     
     return `# Exported from SweetHome3D JS
 # Home: ${homeName}
 # Date: ${date}
 # Exporter: OBJExporter.js for Unity Digital Twin Integration
+# Units: ${transform.unit === 'm' ? 'meters' : 'centimeters'}
+# Axes: ${transform.handedness}-handed, X right, Y up, Z ${transform.handedness === 'left' ? '= -plan Y' : '= plan Y'}
+# Origin: ${origin.type}${originName} at plan (${origin.x}, ${origin.y}) cm
 
 `;
   }
 
   /**
-   * Export all elements from home
+   * Export all elements from home, one OBJ group per level
+   * @param {Home} home - The SweetHome3D home object
+   * @param {HomeComponent3D} component3D - The 3D component with rendered scene
+   * @param {Object} options - Export options (see exportToOBJ)
    */
-  async exportHome(home, component3D) {
+  async exportHome(home, component3D, options = {}) {
     // Uncomment for detailed debugging of home element counts
     // console.log('📦 Exporting home elements...');
     // console.log('Home object:', home);
     
     let wallCount = 0, roomCount = 0, furnitureCount = 0;
-    
-    // Export walls
-    if (home.getWalls) {
-      const walls = home.getWalls();
-      // Uncomment to debug wall count: console.log('Found walls:', walls ? walls.length : 0);
-      if (walls && walls.length > 0) {
-        for (let i = 0; i < walls.length; i++) {
+    const optimize = options.optimize === true ? {} : options.optimize || null;
+    // Triangle budget of each furniture model, applied by integrateOBJContent
+    this.triangleBudget = optimize && optimize.triangleBudget > 0 ? optimize.triangleBudget : 0;
+
+    const walls = (home.getWalls ? home.getWalls() : null) || [];
+    const rooms = (home.getRooms ? home.getRooms() : null) || [];
+    const furniture = (home.getFurniture ? home.getFurniture() : null) || [];
+    const filter = OBJExporter.getExportFilter(home, options);
+    const levels = filter.levels;
+    this.defaultWallHeight = home.getWallHeight ? home.getWallHeight() : 250;
+    // Ceilings on the last level follow the height of the surrounding walls
+    this.homeWalls = walls;
+    this.homeLevels = (home.getLevels ? home.getLevels() : null) || [];
+    // Pieces of furniture groups are exported one by one, at their own position in the home
+    const furnitureEntries = OBJExporter.flattenFurniture(furniture);
+    const pieces = furnitureEntries.filter(entry => !entry.isGroup).map(entry => entry.piece);
+    // Visible doors and windows on any level cut holes in the walls they cross
+    this.doorsOrWindows = pieces.filter(piece =>
+      piece.isDoorOrWindow && piece.isDoorOrWindow() && (!piece.isVisible || piece.isVisible()));
+    // Visible staircases on any level cut out the floors and ceilings they cross
+    this.staircases = pieces.filter(piece => {
+      const cutOutShape = piece.getStaircaseCutOutShape ? piece.getStaircaseCutOutShape() : null;
+      return cutOutShape && cutOutShape.toLowerCase() !== 'false' && (!piece.isVisible || piece.isVisible());
+    });
+    // Uncomment to debug element counts: console.log('Found:', walls.length, 'walls,', rooms.length, 'rooms,', pieces.length, 'furniture,', levels.length, 'levels');
+
+    // Phase 1: Collect furniture on exported levels (synchronous)
+    const furnitureItems = [];
+    for (const entry of furnitureEntries) {
+      if (!entry.isGroup && filter.acceptsFurniture(entry)) {
+        furnitureItems.push({ piece: entry.piece, name: `furniture_${entry.index}`, index: entry.index, parents: entry.parents });
+      }
+    }
+
+    // Progress counters, over all exported levels
+    const progress = {
+      walls: { done: 0, total: walls.filter(filter.acceptsItem).length },
+      rooms: { done: 0, total: rooms.filter(filter.acceptsItem).length },
+      integrate: { done: 0, total: furnitureItems.length }
+    };
+    this.lastYieldTime = Date.now();
+
+    // Phase 2: Prefetch all model ZIPs in parallel batches of 6
+    const BATCH_SIZE = 6;
+    const prefetched = new Map();
+    await this.reportProgress(options, 'prefetch', 0, furnitureItems.length);
+    for (let batchStart = 0; batchStart < furnitureItems.length; batchStart += BATCH_SIZE) {
+      const batchEnd = Math.min(batchStart + BATCH_SIZE, furnitureItems.length);
+      const batchPromises = [];
+      for (let i = batchStart; i < batchEnd; i++) {
+        const item = furnitureItems[i];
+        batchPromises.push(
+          this.prefetchFurnitureModel(item.piece, item.name)
+            .then(data => { prefetched.set(item, data); })
+            .catch(() => { prefetched.set(item, null); })
+        );
+      }
+      await Promise.all(batchPromises);
+      await this.reportProgress(options, 'prefetch', batchEnd, furnitureItems.length);
+    }
+
+    // Phase 3: Export level by level so each level's faces form one contiguous group
+    for (let levelIndex = 0; levelIndex < levels.length; levelIndex++) {
+      const level = levels[levelIndex];
+      this.setGroup(level ? this.getLevelGroupName(level, home) : null);
+
+      // Walls
+      for (let i = 0; i < walls.length; i++) {
+        if (this.getItemLevel(walls[i]) === level && filter.acceptsItem(walls[i])) {
+          this.beginObject(walls[i], 'wall', i);
           await this.exportWall(walls[i], `wall_${i}`);
+          this.endObject();
           wallCount++;
+          await this.reportProgress(options, 'walls', ++progress.walls.done, progress.walls.total);
         }
       }
-    }
-    
-    // Export rooms (floors and ceilings)
-    if (home.getRooms) {
-      const rooms = home.getRooms();
-      // Uncomment to debug room count: console.log('Found rooms:', rooms ? rooms.length : 0);
-      if (rooms && rooms.length > 0) {
-        for (let i = 0; i < rooms.length; i++) {
+
+      // Rooms (floors and ceilings)
+      for (let i = 0; i < rooms.length; i++) {
+        if (this.getItemLevel(rooms[i]) === level && filter.acceptsItem(rooms[i])) {
+          this.beginObject(rooms[i], 'room', i);
           await this.exportRoom(rooms[i], `room_${i}`);
+          this.endObject();
           roomCount++;
+          await this.reportProgress(options, 'rooms', ++progress.rooms.done, progress.rooms.total);
         }
       }
-    }
-    
-    // Export furniture — parallel fetch, sequential integrate
-    if (home.getFurniture) {
-      const furniture = home.getFurniture();
-      if (furniture && furniture.length > 0) {
-        // Phase 1: Resolve model URLs and prepare metadata (synchronous)
-        const furnitureItems = [];
-        for (let i = 0; i < furniture.length; i++) {
-          furnitureItems.push({ piece: furniture[i], name: `furniture_${i}` });
-        }
 
-        // Phase 2: Prefetch all model ZIPs in parallel batches of 6
-        const BATCH_SIZE = 6;
-        const prefetched = new Array(furnitureItems.length);
-        for (let batchStart = 0; batchStart < furnitureItems.length; batchStart += BATCH_SIZE) {
-          const batchEnd = Math.min(batchStart + BATCH_SIZE, furnitureItems.length);
-          const batchPromises = [];
-          for (let i = batchStart; i < batchEnd; i++) {
-            batchPromises.push(
-              this.prefetchFurnitureModel(furnitureItems[i].piece, furnitureItems[i].name)
-                .then(data => { prefetched[i] = data; })
-                .catch(() => { prefetched[i] = null; })
-            );
-          }
-          await Promise.all(batchPromises);
-        }
-
-        // Phase 3: Integrate sequentially (shared state: vertices, faces, etc.)
-        for (let i = 0; i < furnitureItems.length; i++) {
-          const data = prefetched[i];
-          if (data && data.objContent) {
-            const { piece } = furnitureItems[i];
-            const pX = piece.getX ? piece.getX() : 0;
-            const pY = piece.getY ? piece.getY() : 0;
-            const elev = piece.getElevation ? piece.getElevation() : 0;
-            const ang = piece.getAngle ? piece.getAngle() : 0;
-            this.addComment(`Furniture: ${furnitureItems[i].name} - ${piece.getName ? piece.getName() : 'Unknown'}`);
-            await this.integrateOBJContent(data.objContent, pX, pY, elev, ang, furnitureItems[i].name, piece, data.materialTextureMap);
-          } else if (data && data.useBoundingBox) {
-            this.addComment(`Furniture: ${furnitureItems[i].name} - ${furnitureItems[i].piece.getName ? furnitureItems[i].piece.getName() : 'Unknown'}`);
-            this.exportFurnitureBoundingBox(furnitureItems[i].piece, furnitureItems[i].name);
-          }
-          furnitureCount++;
+      // Furniture — integrate sequentially (shared state: vertices, faces, etc.)
+      for (const item of furnitureItems) {
+        if (this.getItemLevel(item.piece) !== level) continue;
+
+        const data = prefetched.get(item);
+        const { piece } = item;
+        this.beginObject(piece, 'furniture', item.index, item.parents);
+        if (data && data.objContent) {
+          const pX = piece.getX ? piece.getX() : 0;
+          const pY = piece.getY ? piece.getY() : 0;
+          const elev = this.getPieceGroundElevation(piece);
+          const ang = piece.getAngle ? piece.getAngle() : 0;
+          this.addComment(`Furniture: ${item.name} - ${piece.getName ? piece.getName() : 'Unknown'}`);
+          await this.integrateOBJContent(data.objContent, pX, pY, elev, ang, item.name, piece, data.materialTextureMap);
+        } else if (data && data.useBoundingBox) {
+          this.addComment(`Furniture: ${item.name} - ${piece.getName ? piece.getName() : 'Unknown'}`);
+          this.exportFurnitureBoundingBox(piece, item.name);
+          this.recordBoundingBox(piece, data.reason);
         }
+        this.endObject();
+        furnitureCount++;
+        await this.reportProgress(options, 'integrate', ++progress.integrate.done, progress.integrate.total);
       }
     }
+    // Ground plane around the home, under all levels
+    if (options.ground) {
+      this.setGroup('ground');
+      this.beginObject(null, 'ground', 0);
+      await this.exportGround(home, options, rooms.filter(room => filter.acceptsItem(room)));
+      this.endObject();
+    }
+    this.setGroup(null);
     
     // Uncomment for export summary: console.log(`📊 Export summary: ${wallCount} walls, ${roomCount} rooms, ${furnitureCount} furniture items`);
     // Uncomment to see geometry stats: console.log(`📊 Generated: ${this.vertices.length} vertices, ${this.faces.length} faces`);
@@ -217,10 +337,113 @@ class OBJExporter {
         throw new Error(`No geometry exported. Found ${totalItems} items but failed to generate geometry.`);
       }
     }
+
+    if (optimize) {
+      this.optimizeGeometry(optimize.weldTolerance);
+    }
+  }
+
+  /**
+   * Resolve the levels to export
+   * @param {Home} home - The SweetHome3D home object
+   * @param {Level|string|number|Array|null} selection - Level object, level id, level name, level index,
+   *                                                     an array of them, or null for all levels
+   * @returns {Array} - Levels in elevation order; [null] for homes without levels
+   */
+  static getExportLevels(home, selection = null) {
+    const levels = (home.getLevels ? home.getLevels() : null) || [];
+    if (levels.length === 0) {
+      return [null];
+    }
+    if (selection === null || selection === undefined || selection === 'all') {
+      return levels.slice();
+    }
+
+    const selections = Array.isArray(selection) ? selection : [selection];
+    const matches = (level, i, selected) => level === selected || i === selected
+      || (level.getId && level.getId() === selected) || (level.getName && level.getName() === selected);
+    for (const selected of selections) {
+      if (!levels.some((level, i) => matches(level, i, selected))) {
+        throw new Error(`Level not found: ${selected}`);
+      }
+    }
+    return levels.filter((level, i) => selections.some(selected => matches(level, i, selected)));
+  }
+
+  /**
+   * Build the filter selecting the walls, rooms and furniture to export
+   * @param {Home} home - The SweetHome3D home object
+   * @param {Object} options - Export options (see exportToOBJ): level, includeInvisible, selectedOnly,
+   *                           includeDecorative, and devices, kept when decorative furniture is excluded
+   * @returns {Object} - {levels, acceptsItem(wallOrRoom), acceptsFurniture(furnitureEntry)}, furniture entries
+   *                     coming from flattenFurniture
+   */
+  static getExportFilter(home, options = {}) {
+    const levels = OBJExporter.getExportLevels(home, options.level);
+    const selectedItems = options.selectedOnly
+      ? (home.getSelectedItems ? home.getSelectedItems() : null) || []
+      : null;
+    const deviceObjects = new Set((options.devices || []).map(device => device.objectName));
+    const isOnLevel = item => levels.indexOf((item && item.getLevel ? item.getLevel() : null) || null) !== -1;
+
+    return {
+      levels,
+      acceptsItem: item => isOnLevel(item) && (!selectedItems || selectedItems.indexOf(item) !== -1),
+      acceptsFurniture: entry => {
+        const piece = entry.piece;
+        // A piece is invisible or selected with the groups enclosing it
+        const pieces = entry.parents.map(parent => parent.piece).concat(piece);
+        if (!isOnLevel(piece)
+            || (options.includeInvisible === false && pieces.some(p => p.isVisible && !p.isVisible()))
+            || (selectedItems && !pieces.some(p => selectedItems.indexOf(p) !== -1))) {
+          return false;
+        }
+        return options.includeDecorative !== false
+          || (piece.isDoorOrWindow && piece.isDoorOrWindow())
+          || deviceObjects.has(OBJExporter.getObjectName(piece, 'furniture', entry.index));
+      }
+    };
+  }
+
+  /**
+   * Get the level of a wall, room or piece (null for homes without levels)
+   */
+  getItemLevel(item) {
+    return (item && item.getLevel ? item.getLevel() : null) || null;
+  }
+
+  /**
+   * Get the elevation of the level an item sits on (0 without levels)
+   */
+  getLevelElevation(item) {
+    const level = this.getItemLevel(item);
+    return level && level.getElevation ? level.getElevation() : 0;
+  }
+
+  /**
+   * Get the absolute elevation of a piece's bottom (level elevation + piece elevation)
+   */
+  getPieceGroundElevation(piece) {
+    if (piece.getGroundElevation) {
+      return piece.getGroundElevation();
+    }
+    return this.getLevelElevation(piece) + (piece.getElevation ? piece.getElevation() : 0);
+  }
+
+  /**
+   * Build the OBJ group name of a level (e.g., 'level_1_First_floor')
+   */
+  getLevelGroupName(level, home) {
+    const levels = (home.getLevels ? home.getLevels() : null) || [];
+    const levelName = (level.getName ? level.getName() : '') || '';
+    const safeName = levelName.replace(/[^a-zA-Z0-9_]/g, '_');
+    return `level_${levels.indexOf(level)}${safeName ? '_' + safeName : ''}`;
   }
 
   /**
    * Export a wall to OBJ format
+   * Straight and curved walls are built along their side outlines, with a top that slopes
+   * linearly from the height at start to the height at end.
    */
   async exportWall(wall, name) {
     if (!wall) {
@@ -231,32 +454,36 @@ class OBJExporter {
     const yStart = wall.getYStart ? wall.getYStart() : 0;
     const xEnd = wall.getXEnd ? wall.getXEnd() : 0;
     const yEnd = wall.getYEnd ? wall.getYEnd() : 0;
-    const height = wall.getHeight ? wall.getHeight() : 250;
     const thickness = wall.getThickness ? wall.getThickness() : 10;
+    const bottom = this.getLevelElevation(wall);
     
     // Skip if wall has no length
     if (xStart === xEnd && yStart === yEnd) {
       return;
     }
-    
-    // Calculate wall direction
-    const dx = xEnd - xStart;
-    const dy = yEnd - yStart;
-    const length = Math.sqrt(dx * dx + dy * dy);
-    const nx = -dy / length; // Normal perpendicular to wall
-    const ny = dx / length;
-    
-    // Wall vertices (front face)
-    const v1 = [xStart - nx * thickness / 2, 0, yStart - ny * thickness / 2];
-    const v2 = [xEnd - nx * thickness / 2, 0, yEnd - ny * thickness / 2];
-    const v3 = [xEnd - nx * thickness / 2, height, yEnd - ny * thickness / 2];
-    const v4 = [xStart - nx * thickness / 2, height, yStart - ny * thickness / 2];
-    
-    // Back face
-    const v5 = [xStart + nx * thickness / 2, 0, yStart + ny * thickness / 2];
-    const v6 = [xEnd + nx * thickness / 2, 0, yEnd + ny * thickness / 2];
-    const v7 = [xEnd + nx * thickness / 2, height, yEnd + ny * thickness / 2];
-    const v8 = [xStart + nx * thickness / 2, height, yStart + ny * thickness / 2];
+
+    // Sloped walls (e.g., under a roof) have a different height at their end
+    const heightAtStart = this.getWallHeight(wall);
+    const heightAtEnd = this.getWallHeightAtEnd(wall);
+
+    // Wall coordinates: u along the wall axis (arc length for curved walls), w across it
+    const frame = this.getWallFrame(wall, xStart, yStart, xEnd, yEnd);
+    const length = frame.length;
+    const topAt = (u) => bottom + heightAtStart
+      + (heightAtEnd - heightAtStart) * Math.min(1, Math.max(0, u / length));
+    const maxTop = bottom + Math.max(heightAtStart, heightAtEnd);
+    const at = (u, w, h) => {
+      const [x, y] = frame.pointAt(u, w);
+      return [x, h, y];
+    };
+    const left = (u, h) => at(u, -thickness / 2, h);
+    const right = (u, h) => at(u, thickness / 2, h);
+
+    // Left and right side outlines, both ordered from wall start to wall end
+    const sides = this.getWallSides(wall, frame, thickness);
+
+    // Door and window holes, in wall coordinates
+    const openings = this.getWallOpenings(frame, thickness, bottom, topAt);
 
     // Extract wall index from name (e.g., 'wall_5' -> 5)
     const wallIndex = parseInt(name.split('_')[1]) || 0;
@@ -265,50 +492,523 @@ class OBJExporter {
     const leftMaterialName = await this.getWallMaterial(wall, wallIndex);
     const rightMaterialName = await this.getWallRightSideMaterial(wall, wallIndex);
 
-    this.addComment(`Wall: ${name}`);
+    this.addComment(`Wall: ${name}${openings.length > 0 ? ` (${openings.length} openings)` : ''}`);
+
+    // Left (front) and right (back) faces, one strip per outline segment, split around openings
+    for (const [side, outward, materialName] of [
+      [sides.left, -1, leftMaterialName],
+      [sides.right, 1, rightMaterialName]
+    ]) {
+      for (let k = 0; k < side.length - 1; k++) {
+        const a = side[k];
+        const b = side[k + 1];
+        if (b.u - a.u < 0.01) {
+          continue;
+        }
+        const point = (u, h) => {
+          const t = (u - a.u) / (b.u - a.u);
+          return [a.x + (b.x - a.x) * t, h, a.y + (b.y - a.y) * t];
+        };
+        const segmentLength = Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2);
+        const normal = [-outward * (b.y - a.y) / segmentLength, 0, outward * (b.x - a.x) / segmentLength];
+        for (const r of this.subtractOpenings(a.u, b.u, bottom, maxTop, openings)) {
+          // Cells reaching the top follow the slope
+          const v1Start = r.v1 >= maxTop ? topAt(r.u0) : r.v1;
+          const v1End = r.v1 >= maxTop ? topAt(r.u1) : r.v1;
+          this.addWallQuad(point(r.u0, r.v0), point(r.u1, r.v0), point(r.u1, v1End), point(r.u0, v1Start),
+            normal, materialName);
+        }
+      }
+    }
 
-    // Get material info for both sides
-    const leftMaterial = this.materials.get(leftMaterialName);
-    const rightMaterial = this.materials.get(rightMaterialName);
-    const hasLeftTexture = leftMaterial && leftMaterial.texture;
-    const hasRightTexture = rightMaterial && rightMaterial.texture;
+    // Baseboards along each side, with their own color or texture
+    for (const [sideName, baseboard, sideMaterialName] of [
+      ['left', wall.getLeftSideBaseboard ? wall.getLeftSideBaseboard() : null, leftMaterialName],
+      ['right', wall.getRightSideBaseboard ? wall.getRightSideBaseboard() : null, rightMaterialName]
+    ]) {
+      if (baseboard) {
+        const materialName = await this.getBaseboardMaterial(baseboard, sideName, wallIndex, sideMaterialName);
+        this.exportWallBaseboard(sides, sideName, baseboard, bottom, topAt, openings, materialName);
+      }
+    }
 
-    // Front face (left side material) - faces negative normal direction
-    this.setMaterial(leftMaterialName);
-    if (hasLeftTexture) {
-      this.addQuadWithTexture(v1, v2, v3, v4, [0, 0, -1], leftMaterial.textureTransform);
-    } else {
-      this.addQuad(v1, v2, v3, v4, [0, 0, -1]);
+    // Top face - use left side material as default, skipping openings that reach the top
+    const topOpenings = openings.filter(o => o.v1 >= Math.max(topAt(o.u0), topAt(o.u1)) - 0.01);
+    for (const [a0, a1, b0, b1] of this.pairWallSides(sides)) {
+      for (const [u0, u1] of this.subtractIntervals(a0.u, a1.u,
+        topOpenings.map(o => [o.u0, o.u1]))) {
+        const t0 = (u0 - a0.u) / (a1.u - a0.u);
+        const t1 = (u1 - a0.u) / (a1.u - a0.u);
+        const point = (p, q, t) => [p.x + (q.x - p.x) * t, topAt(p.u + (q.u - p.u) * t), p.y + (q.y - p.y) * t];
+        const v1 = point(a0, a1, t0);
+        const v2 = point(a0, a1, t1);
+        const v3 = point(b0, b1, t1);
+        const v4 = point(b0, b1, t0);
+        this.addWallQuad(v1, v2, v3, v4, this.getUpwardNormal(v1, v2, v4), leftMaterialName);
+      }
     }
 
-    // Back face (right side material) - faces positive normal direction
-    this.setMaterial(rightMaterialName);
-    if (hasRightTexture) {
-      this.addQuadWithTexture(v6, v5, v8, v7, [0, 0, 1], rightMaterial.textureTransform);
+    // Side faces (ends of wall) - use left side material
+    const [startTangentX, startTangentY] = frame.tangentAt(0);
+    const [endTangentX, endTangentY] = frame.tangentAt(length);
+    const leftStart = sides.left[0];
+    const rightStart = sides.right[0];
+    const leftEnd = sides.left[sides.left.length - 1];
+    const rightEnd = sides.right[sides.right.length - 1];
+    this.addWallQuad([rightStart.x, bottom, rightStart.y], [leftStart.x, bottom, leftStart.y],
+      [leftStart.x, topAt(leftStart.u), leftStart.y], [rightStart.x, topAt(rightStart.u), rightStart.y],
+      [-startTangentX, 0, -startTangentY], leftMaterialName);
+    this.addWallQuad([leftEnd.x, bottom, leftEnd.y], [rightEnd.x, bottom, rightEnd.y],
+      [rightEnd.x, topAt(rightEnd.u), rightEnd.y], [leftEnd.x, topAt(leftEnd.u), leftEnd.y],
+      [endTangentX, 0, endTangentY], leftMaterialName);
+
+    // Reveals (inner faces of each hole through the wall thickness) - use left side material
+    for (const o of openings) {
+      const [t0x, t0y] = frame.tangentAt(o.u0);
+      const [t1x, t1y] = frame.tangentAt(o.u1);
+      if (o.u0 > 0.01) {
+        this.addWallQuad(left(o.u0, o.v0), right(o.u0, o.v0), right(o.u0, o.v1), left(o.u0, o.v1), [t0x, 0, t0y], leftMaterialName);
+      }
+      if (o.u1 < length - 0.01) {
+        this.addWallQuad(right(o.u1, o.v0), left(o.u1, o.v0), left(o.u1, o.v1), right(o.u1, o.v1), [-t1x, 0, -t1y], leftMaterialName);
+      }
+      // Lintel and sill, tessellated along curved walls
+      const steps = this.getWallSteps(frame, o.u0, o.u1);
+      for (let k = 0; k < steps.length - 1; k++) {
+        const s0 = steps[k];
+        const s1 = steps[k + 1];
+        if (o.v1 < Math.max(topAt(o.u0), topAt(o.u1)) - 0.01) {
+          this.addWallQuad(left(s0, o.v1), right(s0, o.v1), right(s1, o.v1), left(s1, o.v1), [0, -1, 0], leftMaterialName);
+        }
+        if (o.v0 > bottom + 0.01) {
+          this.addWallQuad(left(s0, o.v0), left(s1, o.v0), right(s1, o.v0), right(s0, o.v0), [0, 1, 0], leftMaterialName);
+        }
+      }
+    }
+  }
+
+  /**
+   * Export the baseboard of a wall side: the side outline offset outwards by the baseboard thickness,
+   * interrupted by the openings it meets, with front, top and end faces
+   * @param {Object} sides - Wall side outlines, from getWallSides
+   * @param {string} sideName - 'left' or 'right'
+   */
+  exportWallBaseboard(sides, sideName, baseboard, bottom, topAt, openings, materialName) {
+    const side = sides[sideName];
+    const otherSide = sides[sideName === 'left' ? 'right' : 'left'];
+    const outward = sideName === 'left' ? -1 : 1;
+    const thickness = baseboard.getThickness ? baseboard.getThickness() : 1;
+    const height = baseboard.getHeight ? baseboard.getHeight() : 0;
+    if (thickness <= 0 || height <= 0 || side.length < 2) {
+      return;
+    }
+
+    // Outward normal of each outline segment
+    const normals = [];
+    for (let k = 0; k < side.length - 1; k++) {
+      const dx = side[k + 1].x - side[k].x;
+      const dy = side[k + 1].y - side[k].y;
+      const segmentLength = Math.sqrt(dx * dx + dy * dy) || 1;
+      normals.push([-outward * dy / segmentLength, outward * dx / segmentLength]);
+    }
+    // Offset a side point along direction, so that it moves by thickness away from the segment of the given normal
+    const offset = (point, direction, normal) => {
+      const length = Math.sqrt(direction[0] ** 2 + direction[1] ** 2);
+      if (length < 1e-9) {
+        return { x: point.x + normal[0] * thickness, y: point.y + normal[1] * thickness, u: point.u };
+      }
+      const cos = Math.max(0.2, Math.abs(direction[0] * normal[0] + direction[1] * normal[1]) / length);
+      const scale = thickness / (cos * length);
+      return { x: point.x + direction[0] * scale, y: point.y + direction[1] * scale, u: point.u };
+    };
+    // Ends follow the wall end caps, inner points the bisector of adjacent segments
+    const last = side.length - 1;
+    const outer = side.map((point, k) => {
+      if (k === 0 || k === last) {
+        const other = otherSide[k === 0 ? 0 : otherSide.length - 1];
+        return offset(point, [point.x - other.x, point.y - other.y], normals[k === 0 ? 0 : last - 1]);
+      }
+      return offset(point, [normals[k - 1][0] + normals[k][0], normals[k - 1][1] + normals[k][1]], normals[k]);
+    });
+
+    // Openings reaching the baseboard interrupt it
+    const top = (u) => Math.min(bottom + height, topAt(u));
+    const cuts = openings.filter(o => o.v0 < bottom + height).map(o => [o.u0, o.u1]);
+
+    for (let k = 0; k < last; k++) {
+      const a = side[k];
+      const b = side[k + 1];
+      if (b.u - a.u < 0.01) {
+        continue;
+      }
+      const at = (p, q, u, h) => {
+        const t = (u - a.u) / (b.u - a.u);
+        return [p.x + (q.x - p.x) * t, h, p.y + (q.y - p.y) * t];
+      };
+      const inner = (u, h) => at(a, b, u, h);
+      const front = (u, h) => at(outer[k], outer[k + 1], u, h);
+      const normal = [normals[k][0], 0, normals[k][1]];
+      const tangent = [outward * normals[k][1], 0, -outward * normals[k][0]];
+      for (const [u0, u1] of this.subtractIntervals(a.u, b.u, cuts)) {
+        this.addWallQuad(front(u0, bottom), front(u1, bottom), front(u1, top(u1)), front(u0, top(u0)),
+          normal, materialName);
+        const v1 = inner(u0, top(u0));
+        const v2 = inner(u1, top(u1));
+        const v4 = front(u0, top(u0));
+        this.addWallQuad(v1, v2, front(u1, top(u1)), v4, this.getUpwardNormal(v1, v2, v4), materialName);
+        // End faces where the baseboard stops, not between two segments
+        if (k === 0 || u0 > a.u + 0.01) {
+          this.addWallQuad(inner(u0, bottom), front(u0, bottom), front(u0, top(u0)), inner(u0, top(u0)),
+            tangent.map(c => -c), materialName);
+        }
+        if (k === last - 1 || u1 < b.u - 0.01) {
+          this.addWallQuad(front(u1, bottom), inner(u1, bottom), inner(u1, top(u1)), front(u1, top(u1)),
+            tangent, materialName);
+        }
+      }
+    }
+  }
+
+  /**
+   * Build the coordinate frame of a wall: u along its axis (arc length for curved walls),
+   * w across it, positive towards the right side
+   * @returns {Object} - {length, segments, toWall(x, y) -> {u, w}, pointAt(u, w) -> [x, y], tangentAt(u) -> [tx, ty]}
+   */
+  getWallFrame(wall, xStart, yStart, xEnd, yEnd) {
+    const dx = xEnd - xStart;
+    const dy = yEnd - yStart;
+    const chord = Math.sqrt(dx * dx + dy * dy);
+    const arcExtent = wall.getArcExtent ? wall.getArcExtent() : null;
+
+    if (arcExtent === null || arcExtent === undefined || Math.abs(arcExtent) < 0.001) {
+      const ux = dx / chord; // Unit vector along wall
+      const uy = dy / chord;
+      return {
+        length: chord,
+        segments: 1,
+        toWall: (x, y) => {
+          const rx = x - xStart;
+          const ry = y - yStart;
+          return { u: rx * ux + ry * uy, w: ry * ux - rx * uy };
+        },
+        pointAt: (u, w) => [xStart + ux * u - uy * w, yStart + uy * u + ux * w],
+        tangentAt: () => [ux, uy]
+      };
+    }
+
+    // Same arc circle center as SweetHome3D's Wall.getArcCircleCenter()
+    let xCenter, yCenter;
+    if (wall.getXArcCircleCenter && wall.getYArcCircleCenter) {
+      xCenter = wall.getXArcCircleCenter();
+      yCenter = wall.getYArcCircleCenter();
     } else {
-      this.addQuad(v6, v5, v8, v7, [0, 0, 1]);
+      const centerAngle = Math.abs(arcExtent) > Math.PI
+        ? -(Math.PI + arcExtent) / 2
+        : (Math.PI - arcExtent) / 2;
+      const centerDistance = -Math.tan(centerAngle) * chord / 2;
+      const angle = Math.atan2(xStart - xEnd, yEnd - yStart);
+      xCenter = (xStart + xEnd) / 2 + centerDistance * Math.cos(angle);
+      yCenter = (yStart + yEnd) / 2 + centerDistance * Math.sin(angle);
     }
 
-    // Top face - use left side material as default
-    this.setMaterial(leftMaterialName);
-    if (hasLeftTexture) {
-      this.addQuadWithTexture(v4, v3, v7, v8, [0, 1, 0], leftMaterial.textureTransform);
+    const radius = Math.sqrt((xStart - xCenter) ** 2 + (yStart - yCenter) ** 2);
+    const startAngle = Math.atan2(yStart - yCenter, xStart - xCenter);
+    const length = Math.abs(arcExtent) * radius;
+    const sign = Math.sign(arcExtent);
+    const angleAt = (u) => startAngle + arcExtent * u / length;
+    return {
+      length,
+      segments: Math.max(2, Math.ceil(Math.abs(arcExtent) / (Math.PI / 18))),
+      toWall: (x, y) => {
+        // Angle from the arc middle, wrapped to [-PI, PI], so that points beyond the ends stay close to them
+        let delta = Math.atan2(y - yCenter, x - xCenter) - (startAngle + arcExtent / 2);
+        delta = Math.atan2(Math.sin(delta), Math.cos(delta)) + arcExtent / 2;
+        const distance = Math.sqrt((x - xCenter) ** 2 + (y - yCenter) ** 2);
+        return { u: delta / arcExtent * length, w: sign * (radius - distance) };
+      },
+      pointAt: (u, w) => {
+        const angle = angleAt(u);
+        const distance = radius - sign * w;
+        return [xCenter + distance * Math.cos(angle), yCenter + distance * Math.sin(angle)];
+      },
+      tangentAt: (u) => {
+        const angle = angleAt(u);
+        return [-sign * Math.sin(angle), sign * Math.cos(angle)];
+      }
+    };
+  }
+
+  /**
+   * Get the u values at which the wall section [u0, u1] is tessellated (about every 10 degrees along curved walls)
+   */
+  getWallSteps(frame, u0, u1) {
+    const count = Math.max(1, Math.ceil((u1 - u0) / frame.length * frame.segments));
+    const steps = [];
+    for (let i = 0; i <= count; i++) {
+      steps.push(u0 + (u1 - u0) * i / count);
+    }
+    return steps;
+  }
+
+  /**
+   * Get the left and right side outlines of a wall, both ordered from wall start to wall end
+   * Uses the wall shape computed by SweetHome3D (joined with its neighbours) when available.
+   * @returns {Object} - {left, right}: arrays of {x, y, u}
+   */
+  getWallSides(wall, frame, thickness) {
+    const toSidePoint = ([x, y]) => ({ x, y, u: frame.toWall(x, y).u });
+    const points = wall.getPoints ? wall.getPoints() : null;
+    if (points && points.length >= 4 && points.length % 2 === 0) {
+      // SweetHome3D lists the left side from start to end, then the right side from end to start
+      const half = points.length / 2;
+      return {
+        left: points.slice(0, half).map(toSidePoint),
+        right: points.slice(half).reverse().map(toSidePoint)
+      };
+    }
+
+    const steps = this.getWallSteps(frame, 0, frame.length);
+    return {
+      left: steps.map(u => toSidePoint(frame.pointAt(u, -thickness / 2))),
+      right: steps.map(u => toSidePoint(frame.pointAt(u, thickness / 2)))
+    };
+  }
+
+  /**
+   * Pair the segments of the left and right sides of a wall to build its top face
+   * @returns {Array} - [leftStart, leftEnd, rightStart, rightEnd] side points of each top quad
+   */
+  pairWallSides(sides) {
+    const pairs = [];
+    if (sides.left.length === sides.right.length) {
+      for (let k = 0; k < sides.left.length - 1; k++) {
+        pairs.push([sides.left[k], sides.left[k + 1], sides.right[k], sides.right[k + 1]]);
+      }
     } else {
-      this.addQuad(v4, v3, v7, v8, [0, 1, 0]);
+      // Resample both sides at the same u values
+      const us = [...sides.left, ...sides.right].map(p => p.u).sort((a, b) => a - b);
+      const left = us.map(u => this.getSidePointAt(sides.left, u));
+      const right = us.map(u => this.getSidePointAt(sides.right, u));
+      for (let k = 0; k < us.length - 1; k++) {
+        pairs.push([left[k], left[k + 1], right[k], right[k + 1]]);
+      }
     }
+    return pairs.filter(([a0, a1]) => a1.u - a0.u > 0.01);
+  }
 
-    // Side faces (ends of wall) - use left side material
-    if (hasLeftTexture) {
-      this.addQuadWithTexture(v5, v1, v4, v8, [-nx, 0, -ny], leftMaterial.textureTransform);
-      this.addQuadWithTexture(v2, v6, v7, v3, [nx, 0, ny], leftMaterial.textureTransform);
+  /**
+   * Interpolate the point of a side outline at u, clamped to the outline ends
+   */
+  getSidePointAt(side, u) {
+    if (u <= side[0].u) {
+      return { ...side[0], u };
+    }
+    for (let k = 0; k < side.length - 1; k++) {
+      const a = side[k];
+      const b = side[k + 1];
+      if (u <= b.u) {
+        const t = b.u - a.u > 0 ? (u - a.u) / (b.u - a.u) : 0;
+        return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, u };
+      }
+    }
+    return { ...side[side.length - 1], u };
+  }
+
+  /**
+   * Compute the normal of the plane through three points, pointing up
+   */
+  getUpwardNormal(v1, v2, v3) {
+    const ax = v2[0] - v1[0], ay = v2[1] - v1[1], az = v2[2] - v1[2];
+    const bx = v3[0] - v1[0], by = v3[1] - v1[1], bz = v3[2] - v1[2];
+    let normal = [ay * bz - az * by, az * bx - ax * bz, ax * by - ay * bx];
+    const norm = Math.sqrt(normal[0] ** 2 + normal[1] ** 2 + normal[2] ** 2);
+    if (norm === 0) {
+      return [0, 1, 0];
+    }
+    normal = normal.map(c => c / norm);
+    return normal[1] < 0 ? normal.map(c => -c) : normal;
+  }
+
+  /**
+   * Add a wall quad with the given material, using texture coordinates when the material is textured.
+   * Winding is normalized to match the rest of the wall geometry (clockwise seen from the outward normal).
+   */
+  addWallQuad(v1, v2, v3, v4, normal, materialName) {
+    const ax = v2[0] - v1[0], ay = v2[1] - v1[1], az = v2[2] - v1[2];
+    const bx = v3[0] - v1[0], by = v3[1] - v1[1], bz = v3[2] - v1[2];
+    const dot = (ay * bz - az * by) * normal[0] + (az * bx - ax * bz) * normal[1] + (ax * by - ay * bx) * normal[2];
+    if (dot > 0) {
+      [v2, v4] = [v4, v2];
+    }
+
+    this.setMaterial(materialName);
+    const material = this.materials.get(materialName);
+    if (material && material.texture) {
+      this.addQuadWithTexture(v1, v2, v3, v4, normal, material.textureTransform);
     } else {
-      this.addQuad(v5, v1, v4, v8, [-nx, 0, -ny]);
-      this.addQuad(v2, v6, v7, v3, [nx, 0, ny]);
+      this.addQuad(v1, v2, v3, v4, normal);
+    }
+  }
+
+  /**
+   * Find door and window pieces crossing a wall
+   * @returns {Array} - Openings {u0, u1, v0, v1}: u along the wall from its start, v absolute elevation
+   */
+  getWallOpenings(frame, thickness, bottom, topAt) {
+    const openings = [];
+    for (const piece of this.doorsOrWindows || []) {
+      const corners = piece.getPoints ? piece.getPoints() : null;
+      if (!corners || corners.length < 3) {
+        continue;
+      }
+
+      // Project the piece footprint on the wall axis (u) and across the wall (w)
+      let uMin = Infinity, uMax = -Infinity, wMin = Infinity, wMax = -Infinity;
+      for (const p of corners) {
+        const { u, w } = frame.toWall(p[0], p[1]);
+        if (u < uMin) uMin = u; if (u > uMax) uMax = u;
+        if (w < wMin) wMin = w; if (w > wMax) wMax = w;
+      }
+      if (wMax <= -thickness / 2 || wMin >= thickness / 2) {
+        continue;
+      }
+
+      const pieceBottom = this.getPieceGroundElevation(piece);
+      const pieceHeight = piece.getHeight ? piece.getHeight() : 0;
+      const u0 = Math.max(0, uMin);
+      const u1 = Math.min(frame.length, uMax);
+      const opening = {
+        u0,
+        u1,
+        v0: Math.max(bottom, pieceBottom),
+        // Keep the hole under the top of sloped walls
+        v1: Math.min(topAt(u0), topAt(u1), pieceBottom + pieceHeight)
+      };
+      if (opening.u1 - opening.u0 > 0.1 && opening.v1 - opening.v0 > 0.1) {
+        openings.push(opening);
+      }
     }
+    return openings;
   }
 
   /**
-   * Export a room (floor and ceiling)
+   * Split the rectangle [uStart, uEnd] x [bottom, top] into rectangles that don't cover any opening
+   * @returns {Array} - Rectangles {u0, u1, v0, v1}
+   */
+  subtractOpenings(uStart, uEnd, bottom, top, openings) {
+    openings = openings.filter(o => o.u1 > uStart && o.u0 < uEnd);
+    if (openings.length === 0) {
+      return [{ u0: uStart, u1: uEnd, v0: bottom, v1: top }];
+    }
+
+    const sortedUnique = (values) => values
+      .sort((a, b) => a - b)
+      .filter((value, i, sorted) => i === 0 || value - sorted[i - 1] > 0.01);
+    const us = sortedUnique([uStart, uEnd, ...openings.flatMap(o => [o.u0, o.u1])
+      .filter(u => u > uStart && u < uEnd)]);
+    const vs = sortedUnique([bottom, top, ...openings.flatMap(o => [o.v0, o.v1])]);
+
+    // Grid cells outside openings, merged vertically within each column
+    const rects = [];
+    for (let i = 0; i < us.length - 1; i++) {
+      const cu = (us[i] + us[i + 1]) / 2;
+      let run = null;
+      for (let j = 0; j < vs.length - 1; j++) {
+        const cv = (vs[j] + vs[j + 1]) / 2;
+        const inOpening = openings.some(o => cu > o.u0 && cu < o.u1 && cv > o.v0 && cv < o.v1);
+        if (inOpening) {
+          if (run) rects.push(run);
+          run = null;
+        } else if (run) {
+          run.v1 = vs[j + 1];
+        } else {
+          run = { u0: us[i], u1: us[i + 1], v0: vs[j], v1: vs[j + 1] };
+        }
+      }
+      if (run) rects.push(run);
+    }
+    return rects;
+  }
+
+  /**
+   * Remove intervals from [start, end]
+   * @returns {Array} - Remaining [from, to] intervals
+   */
+  subtractIntervals(start, end, intervals) {
+    const remaining = [];
+    let from = start;
+    for (const [i0, i1] of intervals.slice().sort((a, b) => a[0] - b[0])) {
+      if (i0 > from) remaining.push([from, Math.min(i0, end)]);
+      from = Math.max(from, i1);
+    }
+    if (from < end) remaining.push([from, end]);
+    return remaining.filter(([a, b]) => b - a > 0.01);
+  }
+
+  /**
+   * Get wall height, falling back to the home's default wall height
+   * (SweetHome3D stores null for walls that use the default)
+   */
+  getWallHeight(wall) {
+    const height = wall.getHeight ? wall.getHeight() : null;
+    if (height !== null && height !== undefined) {
+      return height;
+    }
+    return this.defaultWallHeight || 250;
+  }
+
+  /**
+   * Get wall height at its end, equal to its height unless the wall is sloped
+   */
+  getWallHeightAtEnd(wall) {
+    const heightAtEnd = wall.getHeightAtEnd ? wall.getHeightAtEnd() : null;
+    if (heightAtEnd !== null && heightAtEnd !== undefined) {
+      return heightAtEnd;
+    }
+    return this.getWallHeight(wall);
+  }
+
+  /**
+   * Get the ceiling elevation of a room at (x, y), as SweetHome3D's 3D view computes it:
+   * the top of the room level, or on the last level (and in homes without levels)
+   * the height of the closest wall point on the same level
+   */
+  getRoomCeilingElevationAt(room, x, y) {
+    const level = this.getItemLevel(room);
+    const floorLevel = this.getLevelElevation(room);
+    const levels = this.homeLevels || [];
+    let height = level && level.getHeight ? level.getHeight() : (this.defaultWallHeight || 250);
+    if (level && levels.indexOf(level) !== levels.length - 1) {
+      return floorLevel + height;
+    }
+
+    let smallestDistance = Infinity;
+    for (const wall of this.homeWalls || []) {
+      if (this.getItemLevel(wall) !== level) {
+        continue;
+      }
+      const xStart = wall.getXStart ? wall.getXStart() : 0;
+      const yStart = wall.getYStart ? wall.getYStart() : 0;
+      const xEnd = wall.getXEnd ? wall.getXEnd() : 0;
+      const yEnd = wall.getYEnd ? wall.getYEnd() : 0;
+      const points = (wall.getPoints ? wall.getPoints() : null)
+        || [[xStart, yStart], [xEnd, yEnd], [xEnd, yEnd], [xStart, yStart]];
+      for (let i = 0; i < points.length; i++) {
+        const distance = (points[i][0] - x) ** 2 + (points[i][1] - y) ** 2;
+        if (distance < smallestDistance) {
+          smallestDistance = distance;
+          // First and last points are at the wall start
+          height = i === 0 || i === points.length - 1
+            ? this.getWallHeight(wall)
+            : this.getWallHeightAtEnd(wall);
+        }
+      }
+    }
+    return floorLevel + height;
+  }
+
+  /**
+   * Export a room (floor and ceiling, each only if visible)
    */
   async exportRoom(room, name) {
     if (!room) {
@@ -320,14 +1020,27 @@ class OBJExporter {
       return;
     }
 
-    const floorLevel = 0;
-    const ceilingHeight = 250; // Default ceiling height
+    const floorLevel = this.getLevelElevation(room);
+    const floorVisible = room.isFloorVisible ? room.isFloorVisible() : true;
+    const ceilingVisible = room.isCeilingVisible ? room.isCeilingVisible() : true;
 
     // Extract room index from name (e.g., 'room_5' -> 5)
     const roomIndex = parseInt(name.split('_')[1]) || 0;
 
     this.addComment(`Room: ${name} - ${room.getName ? room.getName() : 'Unnamed'}`);
 
+    if (floorVisible) {
+      await this.exportRoomFloor(room, points, floorLevel, roomIndex);
+    }
+    if (ceilingVisible) {
+      await this.exportRoomCeiling(room, points, roomIndex);
+    }
+  }
+
+  /**
+   * Export the floor of a room
+   */
+  async exportRoomFloor(room, points, floorLevel, roomIndex) {
     // Floor with texture support
     const floorMaterial = await this.getRoomFloorMaterialWithTexture(room, roomIndex);
     this.setMaterial(floorMaterial);
@@ -335,8 +1048,9 @@ class OBJExporter {
     const floorMat = this.materials.get(floorMaterial);
     const hasFloorTexture = floorMat && floorMat.texture;
 
-    // Triangulate floor polygon
-    const floorTriangles = this.triangulatePolygon(points, floorLevel, true);
+    // Triangulate floor polygon, without the stairwells crossing it
+    const floorTriangles = this.subtractCutOuts(this.triangulatePolygon(points, floorLevel, true),
+      this.getStaircaseCutOuts(room, 'floor'));
     for (const tri of floorTriangles) {
       if (hasFloorTexture) {
         this.addTriangleWithTexture(tri[0], tri[1], tri[2], [0, -1, 0], floorMat.textureTransform);
@@ -344,7 +1058,12 @@ class OBJExporter {
         this.addTriangle(tri[0], tri[1], tri[2], [0, -1, 0]);
       }
     }
+  }
 
+  /**
+   * Export the ceiling of a room, following sloped walls on the last level
+   */
+  async exportRoomCeiling(room, points, roomIndex) {
     // Ceiling with texture support
     const ceilingMaterial = await this.getRoomCeilingMaterialWithTexture(room, roomIndex);
     this.setMaterial(ceilingMaterial);
@@ -352,8 +1071,10 @@ class OBJExporter {
     const ceilingMat = this.materials.get(ceilingMaterial);
     const hasCeilingTexture = ceilingMat && ceilingMat.texture;
 
-    // Triangulate ceiling polygon
-    const ceilingTriangles = this.triangulatePolygon(points, ceilingHeight, false);
+    // Triangulate ceiling polygon without the stairwells crossing it, then lift each vertex to the ceiling elevation above it
+    const ceilingTriangles = this.subtractCutOuts(this.triangulatePolygon(points, 0, false),
+      this.getStaircaseCutOuts(room, 'ceiling'))
+      .map(tri => tri.map(v => [v[0], this.getRoomCeilingElevationAt(room, v[0], v[2]), v[2]]));
     for (const tri of ceilingTriangles) {
       if (hasCeilingTexture) {
         this.addTriangleWithTexture(tri[0], tri[1], tri[2], [0, 1, 0], ceilingMat.textureTransform);
@@ -363,6 +1084,339 @@ class OBJExporter {
     }
   }
 
+  /**
+   * Export a ground plane at elevation 0 around the exported items, extending beyond them by half their size
+   * (at least 10 m), with holes under the visible floors of rooms at or below the ground like SweetHome3D's Ground3D
+   * @param {Array} rooms - Exported rooms
+   */
+  async exportGround(home, options, rooms) {
+    const bounds = OBJExporter.getExportBounds(home, options);
+    if (!bounds) {
+      return;
+    }
+    const margin = Math.max(1000, (bounds.xMax - bounds.xMin) / 2, (bounds.yMax - bounds.yMin) / 2);
+    const xMin = bounds.xMin - margin, yMin = bounds.yMin - margin;
+    const xMax = bounds.xMax + margin, yMax = bounds.yMax + margin;
+
+    const groundMaterial = await this.getGroundMaterial(home);
+    this.setMaterial(groundMaterial);
+    const groundMat = this.materials.get(groundMaterial);
+
+    this.addComment('Ground');
+    const holes = rooms
+      .filter(room => (room.isFloorVisible ? room.isFloorVisible() : true) && this.getLevelElevation(room) <= 0)
+      .map(room => room.getPoints ? room.getPoints() : [])
+      .filter(points => points.length >= 3);
+    const triangles = this.subtractCutOuts(
+      this.triangulatePolygon([[xMin, yMin], [xMax, yMin], [xMax, yMax], [xMin, yMax]], 0, true), holes);
+    for (const tri of triangles) {
+      if (groundMat && groundMat.texture) {
+        this.addTriangleWithTexture(tri[0], tri[1], tri[2], [0, 1, 0], groundMat.textureTransform);
+      } else {
+        this.addTriangle(tri[0], tri[1], tri[2], [0, 1, 0]);
+      }
+    }
+  }
+
+  /**
+   * Get the cut-out polygons of the staircases crossing the floor or the ceiling of a room,
+   * selected like SweetHome3D's Room3D does
+   * @param {string} part - 'floor' or 'ceiling'
+   * @returns {Array} - Polygons [[x, y], ...] in plan coordinates
+   */
+  getStaircaseCutOuts(room, part) {
+    const level = this.getItemLevel(room);
+    if (!level || !this.staircases || this.staircases.length === 0) {
+      return [];
+    }
+    const elevation = part === 'floor'
+      ? level.getElevation()
+      : level.getElevation() + level.getHeight();
+    // Staircases of the level below reach the floor top, or at least the bottom of its thickness
+    const lowestTop = part === 'floor' && level.getFloorThickness
+      ? elevation - level.getFloorThickness()
+      : elevation;
+    const cutOuts = [];
+    for (const piece of this.staircases) {
+      const bottom = this.getPieceGroundElevation(piece);
+      if (bottom < elevation && bottom + piece.getHeight() >= lowestTop) {
+        cutOuts.push(...this.getStaircaseCutOutPolygons(piece));
+      }
+    }
+    return cutOuts;
+  }
+
+  /**
+   * Get the cut-out shape of a staircase in plan coordinates, placed like SweetHome3D's
+   * ModelManager.getAreaOnFloor: the shape, drawn in a 1 x 1 square, is scaled to the piece size and rotated
+   * @returns {Array} - Polygons [[x, y], ...]
+   */
+  getStaircaseCutOutPolygons(piece) {
+    const width = piece.getWidth();
+    const depth = piece.getDepth();
+    const angle = piece.getAngle ? piece.getAngle() : 0;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const mirrored = piece.isModelMirrored ? piece.isModelMirrored() : false;
+    return OBJExporter.parseSVGPath(piece.getStaircaseCutOutShape()).map(polygon => polygon.map(([px, py]) => {
+      const sx = (mirrored ? 1 - px : px) * width - width / 2;
+      const sy = py * depth - depth / 2;
+      return [piece.getX() + sx * cos - sy * sin, piece.getY() + sx * sin + sy * cos];
+    }));
+  }
+
+  /**
+   * Parse SVG path data, like staircase cut-out shapes, into polygons, curves being approximated by segments.
+   * Supports M, L, H, V, C, Q, A and Z commands (absolute and relative); S and T curves end with a straight line.
+   * @param {string} pathData - SVG path data
+   * @param {number} curveSegments - Segments per curve, and per quarter of arc
+   * @returns {Array} - Polygons [[x, y], ...], one per subpath with at least 3 points
+   */
+  static parseSVGPath(pathData, curveSegments = 8) {
+    const tokens = pathData.match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+    const polygons = [];
+    let polygon = null;
+    let x = 0, y = 0, startX = 0, startY = 0;
+    let command = null;
+    let i = 0;
+    const number = () => parseFloat(tokens[i++]);
+    const lineTo = (nx, ny) => {
+      if (!polygon) {
+        polygon = [[x, y]];
+        polygons.push(polygon);
+      }
+      polygon.push([nx, ny]);
+      x = nx;
+      y = ny;
+    };
+    // Bezier curve through the given control points, the current point being the first one
+    const curveTo = (controls) => {
+      const points = [[x, y], ...controls];
+      for (let k = 1; k <= curveSegments; k++) {
+        let level = points.map(p => p.slice());
+        const t = k / curveSegments;
+        while (level.length > 1) {
+          level = level.slice(1).map((p, j) => [level[j][0] + (p[0] - level[j][0]) * t, level[j][1] + (p[1] - level[j][1]) * t]);
+        }
+        lineTo(level[0][0], level[0][1]);
+      }
+    };
+    // Elliptical arc, converted to center parameterization as in the SVG specification (F.6.5)
+    const arcTo = (rx, ry, rotation, largeArc, sweep, x2, y2) => {
+      rx = Math.abs(rx);
+      ry = Math.abs(ry);
+      if (rx === 0 || ry === 0) {
+        lineTo(x2, y2);
+        return;
+      }
+      const cos = Math.cos(rotation * Math.PI / 180);
+      const sin = Math.sin(rotation * Math.PI / 180);
+      const dx = (x - x2) / 2;
+      const dy = (y - y2) / 2;
+      const x1 = cos * dx + sin * dy;
+      const y1 = -sin * dx + cos * dy;
+      const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+      if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+      }
+      const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+      const coefficient = (largeArc !== sweep ? 1 : -1)
+        * Math.sqrt(Math.max(0, numerator / (rx * rx * y1 * y1 + ry * ry * x1 * x1)));
+      const cx1 = coefficient * rx * y1 / ry;
+      const cy1 = -coefficient * ry * x1 / rx;
+      const cx = cos * cx1 - sin * cy1 + (x + x2) / 2;
+      const cy = sin * cx1 + cos * cy1 + (y + y2) / 2;
+      const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+      const startAngle = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+      let extent = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+      if (!sweep && extent > 0) {
+        extent -= 2 * Math.PI;
+      } else if (sweep && extent < 0) {
+        extent += 2 * Math.PI;
+      }
+      const segments = Math.max(1, Math.ceil(Math.abs(extent) / (Math.PI / 2) * curveSegments));
+      for (let k = 1; k < segments; k++) {
+        const t = startAngle + extent * k / segments;
+        lineTo(cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin, cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos);
+      }
+      lineTo(x2, y2);
+    };
+
+    while (i < tokens.length) {
+      if (/^[a-z]$/i.test(tokens[i])) {
+        command = tokens[i++];
+      } else if (command === null) {
+        break;
+      }
+      const relative = command === command.toLowerCase();
+      const ox = relative ? x : 0;
+      const oy = relative ? y : 0;
+      switch (command.toUpperCase()) {
+        case 'M':
+          x = startX = ox + number();
+          y = startY = oy + number();
+          polygon = [[x, y]];
+          polygons.push(polygon);
+          // Following coordinates are line ends
+          command = relative ? 'l' : 'L';
+          break;
+        case 'L':
+          lineTo(ox + number(), oy + number());
+          break;
+        case 'H':
+          lineTo(ox + number(), y);
+          break;
+        case 'V':
+          lineTo(x, oy + number());
+          break;
+        case 'C':
+          curveTo([[ox + number(), oy + number()], [ox + number(), oy + number()], [ox + number(), oy + number()]]);
+          break;
+        case 'Q':
+          curveTo([[ox + number(), oy + number()], [ox + number(), oy + number()]]);
+          break;
+        case 'S':
+          i += 2;
+          lineTo(ox + number(), oy + number());
+          break;
+        case 'T':
+          lineTo(ox + number(), oy + number());
+          break;
+        case 'A': {
+          const rx = number(), ry = number(), rotation = number(), largeArc = number() !== 0, sweep = number() !== 0;
+          arcTo(rx, ry, rotation, largeArc, sweep, ox + number(), oy + number());
+          break;
+        }
+        case 'Z':
+          x = startX;
+          y = startY;
+          polygon = null;
+          // A command must follow
+          command = null;
+          break;
+        default:
+          i = tokens.length;
+      }
+    }
+
+    return polygons
+      .map(points => points.filter((p, k) => k === 0 || Math.abs(p[0] - points[k - 1][0]) > 1e-9 || Math.abs(p[1] - points[k - 1][1]) > 1e-9))
+      .map(points => points.length > 1 && Math.abs(points[0][0] - points[points.length - 1][0]) < 1e-9
+        && Math.abs(points[0][1] - points[points.length - 1][1]) < 1e-9 ? points.slice(0, -1) : points)
+      .filter(points => points.length >= 3);
+  }
+
+  /**
+   * Remove cut-out polygons from horizontal triangles
+   * @param {Array} triangles - Triangles [[x, elevation, y] x 3] at the same elevation
+   * @param {Array} cutOuts - Polygons [[x, y], ...] in plan coordinates
+   * @returns {Array} - Triangles covering the parts of the given ones outside cut-outs, with the same winding
+   */
+  subtractCutOuts(triangles, cutOuts) {
+    if (cutOuts.length === 0 || triangles.length === 0) {
+      return triangles;
+    }
+    const elevation = triangles[0][0][1];
+    // Concave cut-outs are subtracted triangle by triangle
+    const cutOutTriangles = cutOuts.flatMap(polygon =>
+      this.isConvexPolygon(polygon) ? [polygon] : this.triangulateSimplePolygon(polygon));
+    const bounds = points => [
+      Math.min(...points.map(p => p[0])), Math.min(...points.map(p => p[1])),
+      Math.max(...points.map(p => p[0])), Math.max(...points.map(p => p[1]))
+    ];
+    const cutOutBounds = cutOutTriangles.map(bounds);
+
+    const result = [];
+    for (const triangle of triangles) {
+      let pieces = [triangle.map(v => [v[0], v[2]])];
+      const [xMin, yMin, xMax, yMax] = bounds(pieces[0]);
+      cutOutTriangles.forEach((cutOut, k) => {
+        const b = cutOutBounds[k];
+        if (b[0] < xMax && b[2] > xMin && b[1] < yMax && b[3] > yMin) {
+          pieces = pieces.flatMap(piece => this.subtractConvexPolygon(piece, cutOut));
+        }
+      });
+      for (const piece of pieces) {
+        for (let k = 1; k < piece.length - 1; k++) {
+          const [a, b, c] = [piece[0], piece[k], piece[k + 1]];
+          // Skip the flat triangles of aligned points
+          if (Math.abs((b[0] - a[0]) * (c[1] - a[1]) - (c[0] - a[0]) * (b[1] - a[1])) > 1e-6) {
+            result.push([a, b, c].map(p => [p[0], elevation, p[1]]));
+          }
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Check whether a polygon is convex, in either orientation
+   */
+  isConvexPolygon(points) {
+    let sign = 0;
+    for (let k = 0; k < points.length; k++) {
+      const a = points[k];
+      const b = points[(k + 1) % points.length];
+      const c = points[(k + 2) % points.length];
+      const cross = (b[0] - a[0]) * (c[1] - b[1]) - (b[1] - a[1]) * (c[0] - b[0]);
+      if (Math.abs(cross) > 1e-9) {
+        if (sign !== 0 && Math.sign(cross) !== sign) {
+          return false;
+        }
+        sign = Math.sign(cross);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Subtract a convex polygon from another one
+   * @returns {Array} - Convex polygons covering polygon outside cut-out, with the vertex order of polygon
+   */
+  subtractConvexPolygon(polygon, cutOut) {
+    const area = points => points.reduce((sum, p, k) => {
+      const q = points[(k + 1) % points.length];
+      return sum + p[0] * q[1] - q[0] * p[1];
+    }, 0) / 2;
+    const orientation = Math.sign(area(cutOut));
+    const pieces = [];
+    let remaining = polygon;
+    for (let k = 0; k < cutOut.length && remaining.length >= 3; k++) {
+      const a = cutOut[k];
+      const b = cutOut[(k + 1) % cutOut.length];
+      // Positive on the inner side of the cut-out edge
+      const side = p => orientation * ((b[0] - a[0]) * (p[1] - a[1]) - (b[1] - a[1]) * (p[0] - a[0]));
+      const outside = this.clipPolygon(remaining, p => -side(p));
+      if (outside.length >= 3 && Math.abs(area(outside)) > 1e-6) {
+        pieces.push(outside);
+      }
+      remaining = this.clipPolygon(remaining, side);
+    }
+    return pieces;
+  }
+
+  /**
+   * Clip a convex polygon to the half plane where distance(p) >= 0 (Sutherland-Hodgman)
+   */
+  clipPolygon(polygon, distance) {
+    const clipped = [];
+    for (let k = 0; k < polygon.length; k++) {
+      const p = polygon[k];
+      const q = polygon[(k + 1) % polygon.length];
+      const dp = distance(p);
+      const dq = distance(q);
+      if (dp >= 0) {
+        clipped.push(p);
+      }
+      if ((dp > 0 && dq < 0) || (dp < 0 && dq > 0)) {
+        const t = dp / (dp - dq);
+        clipped.push([p[0] + (q[0] - p[0]) * t, p[1] + (q[1] - p[1]) * t]);
+      }
+    }
+    return clipped;
+  }
+
   /**
    * Export furniture piece
    */
@@ -374,7 +1428,7 @@ class OBJExporter {
     
     const x = piece.getX ? piece.getX() : 0;
     const y = piece.getY ? piece.getY() : 0;
-    const elevation = piece.getElevation ? piece.getElevation() : 0;
+    const elevation = this.getPieceGroundElevation(piece);
     const angle = piece.getAngle ? piece.getAngle() : 0;
     
     const pieceName = piece.getName ? piece.getName() : 'Unnamed';
@@ -435,17 +1489,21 @@ class OBJExporter {
         // Only log errors in production for serious issues
         console.error(`Failed to load model for ${pieceName}:`, error.message);
         // Uncomment for detailed error debugging: console.error('Full error:', error);
+        this.exportFurnitureBoundingBox(piece, name);
+        this.recordBoundingBox(piece, error.message);
+        return;
       }
     }
     
     // Fallback: Use bounding box representation
     this.exportFurnitureBoundingBox(piece, name);
+    this.recordBoundingBox(piece, 'No model');
     // Uncomment to track bounding box fallbacks: console.log(`    ℹ️ Exported as bounding box: ${pieceName}`);
   }
 
   /**
    * Prefetch a furniture model's ZIP, extract OBJ content + material data.
-   * Returns { objContent, materialTextureMap } or { useBoundingBox: true } on failure.
+   * Returns { objContent, materialTextureMap } or { useBoundingBox: true, reason } on failure.
    * Does NOT modify shared exporter state (vertices/faces) — safe for parallel calls.
    */
   async prefetchFurnitureModel(piece, name) {
@@ -458,7 +1516,7 @@ class OBJExporter {
     if (model && model.getURL) modelURL = model.getURL();
     if (!modelURL && catalogId) modelURL = `lib/resources/models/${catalogId}.zip`;
 
-    if (!modelURL) return { useBoundingBox: true };
+    if (!modelURL) return { useBoundingBox: true, reason: 'No model' };
 
     // Resolve JAR / OBJ URLs to ZIP paths
     if (modelURL.startsWith('jar:')) {
@@ -477,7 +1535,7 @@ class OBJExporter {
       return await this._fetchAndParseModelZip(modelURL, name);
     } catch (error) {
       console.error(`Failed to prefetch model for ${piece.getName ? piece.getName() : name}:`, error.message);
-      return { useBoundingBox: true };
+      return { useBoundingBox: true, reason: error.message };
     }
   }
 
@@ -802,13 +1860,8 @@ class OBJExporter {
     const normalOffset = this.normalIndex - 1;
     const texCoordOffset = this.texCoordIndex - 1;
 
-    // Get target dimensions
-    const width = piece.getWidth ? piece.getWidth() : 1;
-    const depth = piece.getDepth ? piece.getDepth() : 1;
-    const height = piece.getHeight ? piece.getHeight() : 1;
-
-    const cos = Math.cos(angle);
-    const sin = Math.sin(angle);
+    // Rotation of the model in its catalog entry, applied before computing its bounds
+    const modelRotation = this.getModelRotation(piece);
 
     // Check for furniture color override (user-applied color in SweetHome3D)
     const colorOverride = piece.getColor ? piece.getColor() : null;
@@ -877,6 +1930,8 @@ class OBJExporter {
     let minY = Infinity, maxY = -Infinity;
     let minZ = Infinity, maxZ = -Infinity;
     const vertexStartIdx = this.vertices.length; // where this model's vertices begin in the master array
+    const normalStartIdx = this.normals.length; // normals are transformed with vertices
+    const faceStartIdx = this.faces.length;
 
     let currentObjMaterial = null;
 
@@ -912,13 +1967,8 @@ class OBJExporter {
 
       const len = Math.sqrt(nx * nx + ny * ny + nz * nz);
       if (len < 1e-8) return null;
-      nx /= len;
-      ny /= len;
-      nz /= len;
-
-      const rotNx = nx * cos - nz * sin;
-      const rotNz = nx * sin + nz * cos;
-      return this.addNormal([rotNx, ny, rotNz]);
+      // Transformed with the model normals after the loop
+      return this.addNormal([nx / len, ny / len, nz / len]);
     };
 
     // Reusable face-vertex buffer (avoids per-face array allocation)
@@ -936,9 +1986,12 @@ class OBJExporter {
         if (c1 === 32) {
           // Vertex: 'v '
           const parts = trimmed.split(/\s+/);
-          const vx = parseFloat(parts[1]);
-          const vy = parseFloat(parts[2]);
-          const vz = parseFloat(parts[3]);
+          let vx = parseFloat(parts[1]);
+          let vy = parseFloat(parts[2]);
+          let vz = parseFloat(parts[3]);
+          if (modelRotation) {
+            [vx, vy, vz] = this.multiplyMatrix(modelRotation, [vx, vy, vz]);
+          }
 
           // Track bounds incrementally
           if (vx < minX) minX = vx; if (vx > maxX) maxX = vx;
@@ -953,15 +2006,10 @@ class OBJExporter {
         } else if (c1 === 110) {
           // Normal: 'vn'
           const parts = trimmed.split(/\s+/);
-          const nx = parseFloat(parts[1]);
-          const ny = parseFloat(parts[2]);
-          const nz = parseFloat(parts[3]);
+          const normal = [parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])];
 
-          // Rotate normal (no translation)
-          const rotNx = nx * cos - nz * sin;
-          const rotNz = nx * sin + nz * cos;
-
-          this.normals.push([rotNx, ny, rotNz]);
+          // Store model-rotated normal; will transform with vertices after the loop
+          this.normals.push(modelRotation ? this.multiplyMatrix(modelRotation, normal) : normal);
           this.normalIndex++;
 
         } else if (c1 === 116) {
@@ -1011,7 +2059,9 @@ class OBJExporter {
             vertices: [fvBuf[0].v, fvBuf[i].v, fvBuf[i + 1].v],
             normals: [nn0, nn1, nn2],
             texCoords: [fvBuf[0].vt, fvBuf[i].vt, fvBuf[i + 1].vt],
-            material: this.currentMaterial
+            material: this.currentMaterial,
+            group: this.currentGroup,
+            object: this.currentObject
           });
         }
 
@@ -1053,30 +2103,147 @@ class OBJExporter {
       // 'o' and 'g' directives are intentionally ignored (no group support needed)
     }
 
-    // ---- Deferred vertex transform: now that bounds are known, transform raw vertices in-place ----
-    const modelWidth = maxX - minX;
-    const modelHeight = maxY - minY;
-    const modelDepth = maxZ - minZ;
+    // ---- Deferred transform: now that bounds are known, transform raw vertices and normals in-place ----
+    const transform = this.getPieceTransform(piece, x, y, elevation, angle,
+      { min: [minX, minY, minZ], max: [maxX, maxY, maxZ] });
 
-    const centerX = (minX + maxX) / 2;
-    const centerY = minY; // Keep bottom at origin
-    const centerZ = (minZ + maxZ) / 2;
+    for (let i = 0, vi = vertexStartIdx, len = rawVerts.length; i < len; i += 3, vi++) {
+      this.vertices[vi] = transform.point([rawVerts[i], rawVerts[i + 1], rawVerts[i + 2]]);
+    }
+    for (let ni = normalStartIdx, len = this.normals.length; ni < len; ni++) {
+      this.normals[ni] = transform.normal(this.normals[ni]);
+    }
 
-    const scaleX = modelWidth > 0 ? width / modelWidth : 1;
-    const scaleY = modelHeight > 0 ? height / modelHeight : 1;
-    const scaleZ = modelDepth > 0 ? depth / modelDepth : 1;
+    // Mirroring turns faces inside out: restore their winding
+    if (transform.mirrored) {
+      for (let fi = faceStartIdx, len = this.faces.length; fi < len; fi++) {
+        const face = this.faces[fi];
+        for (const key of ['vertices', 'normals', 'texCoords']) {
+          [face[key][1], face[key][2]] = [face[key][2], face[key][1]];
+        }
+      }
+    }
 
-    for (let i = 0, vi = vertexStartIdx, len = rawVerts.length; i < len; i += 3, vi++) {
-      // Center, scale, rotate, translate
-      let vx = (rawVerts[i] - centerX) * scaleX;
-      let vy = (rawVerts[i + 1] - centerY) * scaleY;
-      let vz = (rawVerts[i + 2] - centerZ) * scaleZ;
+    // Simplify high-poly models when optimizing for WebGL
+    if (this.triangleBudget > 0) {
+      this.decimateFaces(faceStartIdx, this.triangleBudget);
+    }
+  }
 
-      const rotX = vx * cos - vz * sin;
-      const rotZ = vx * sin + vz * cos;
+  /**
+   * Get the rotation matrix applied to a piece model in its catalog entry (null if none)
+   * @returns {Array|null} - 3x3 matrix, rows first
+   */
+  getModelRotation(piece) {
+    const rotation = piece.getModelRotation ? piece.getModelRotation() : null;
+    if (!rotation || rotation.length !== 3) {
+      return null;
+    }
+    const isIdentity = rotation.every((row, i) => row.every((value, j) => value === (i === j ? 1 : 0)));
+    return isIdentity ? null : rotation;
+  }
 
-      this.vertices[vi] = [x + rotX, elevation + vy, y + rotZ];
+  /**
+   * Multiply a 3x3 matrix (rows first) by a vector
+   */
+  multiplyMatrix(matrix, v) {
+    return [
+      matrix[0][0] * v[0] + matrix[0][1] * v[1] + matrix[0][2] * v[2],
+      matrix[1][0] * v[0] + matrix[1][1] * v[1] + matrix[1][2] * v[2],
+      matrix[2][0] * v[0] + matrix[2][1] * v[1] + matrix[2][2] * v[2]
+    ];
+  }
+
+  /**
+   * Build the transform SweetHome3D applies to a piece model in its 3D view:
+   * the model bounds are scaled to the piece size (negative width for mirrored models),
+   * rotated by roll and pitch, then by the piece angle, and placed on the piece elevation at its location
+   * @param {HomePieceOfFurniture} piece - Piece of furniture
+   * @param {Object} bounds - Model bounds {min: [x, y, z], max: [x, y, z]}, after model rotation
+   * @param {boolean} mirrored - Whether to mirror the model (defaults to piece.isModelMirrored())
+   * @returns {Object} - {point(v), normal(n), mirrored}
+   */
+  getPieceTransform(piece, x, y, elevation, angle, bounds,
+                    mirrored = piece.isModelMirrored ? piece.isModelMirrored() : false) {
+    const width = piece.getWidth ? piece.getWidth() : 1;
+    const height = piece.getHeight ? piece.getHeight() : 1;
+    const depth = piece.getDepth ? piece.getDepth() : 1;
+    const roll = (piece.getRoll ? piece.getRoll() : 0) || 0;
+    const pitch = (piece.getPitch ? piece.getPitch() : 0) || 0;
+
+    const center = [0, 1, 2].map(i => (bounds.min[i] + bounds.max[i]) / 2);
+    const scale = [width, height, depth].map((size, i) => {
+      const modelSize = bounds.max[i] - bounds.min[i];
+      return modelSize > 0 ? size / modelSize : 1;
+    });
+    if (mirrored) {
+      scale[0] = -scale[0];
     }
+
+    const cosRoll = Math.cos(roll), sinRoll = Math.sin(roll);
+    const cosPitch = Math.cos(pitch), sinPitch = Math.sin(pitch);
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    const orient = (v) => {
+      // Roll around the depth axis, then pitch around the width axis
+      const rx = v[0] * cosRoll - v[1] * sinRoll;
+      const ry = v[0] * sinRoll + v[1] * cosRoll;
+      const py = ry * cosPitch - v[2] * sinPitch;
+      const pz = ry * sinPitch + v[2] * cosPitch;
+      // Then the piece angle around the vertical axis
+      return [rx * cos - pz * sin, py, rx * sin + pz * cos];
+    };
+
+    // The rotated piece stands on its elevation
+    let halfHeightInPlan = height / 2;
+    if (roll !== 0 || pitch !== 0) {
+      halfHeightInPlan = 0;
+      for (const cx of [-width / 2, width / 2]) {
+        for (const cy of [-height / 2, height / 2]) {
+          for (const cz of [-depth / 2, depth / 2]) {
+            halfHeightInPlan = Math.max(halfHeightInPlan, orient([cx, cy, cz])[1]);
+          }
+        }
+      }
+    }
+
+    return {
+      mirrored,
+      point: (v) => {
+        const o = orient([0, 1, 2].map(i => (v[i] - center[i]) * scale[i]));
+        return [x + o[0], elevation + halfHeightInPlan + o[1], y + o[2]];
+      },
+      normal: (n) => {
+        // Normals scale inversely to positions
+        const o = orient([0, 1, 2].map(i => n[i] / (scale[i] || 1)));
+        const length = Math.sqrt(o[0] * o[0] + o[1] * o[1] + o[2] * o[2]);
+        return length > 0 ? o.map(c => c / length) : n;
+      }
+    };
+  }
+
+  /**
+   * Record a piece of furniture exported as a box instead of its model, for the validation report
+   * @param {string} reason - Why its model couldn't be exported
+   */
+  recordBoundingBox(piece, reason) {
+    this.exportIssues.boxes.push({
+      name: piece.getName ? piece.getName() : null,
+      objectName: this.currentObject,
+      catalogId: piece.getCatalogId ? piece.getCatalogId() : null,
+      level: this.getItemLevelName(piece),
+      reason: reason || null
+    });
+  }
+
+  /**
+   * Get the problems met during the last export: pieces exported as boxes and textures that couldn't be fetched
+   * @returns {Object} - {boxes: [{name, objectName, catalogId, level, reason}], missingTextures: [{url, error}]}
+   */
+  getExportIssues() {
+    return {
+      boxes: this.exportIssues.boxes.slice(),
+      missingTextures: this.exportIssues.missingTextures.slice()
+    };
   }
 
   /**
@@ -1085,7 +2252,7 @@ class OBJExporter {
   exportFurnitureBoundingBox(piece, name) {
     const x = piece.getX ? piece.getX() : 0;
     const y = piece.getY ? piece.getY() : 0;
-    const elevation = piece.getElevation ? piece.getElevation() : 0;
+    const elevation = this.getPieceGroundElevation(piece);
     const width = piece.getWidth ? piece.getWidth() : 50;
     const depth = piece.getDepth ? piece.getDepth() : 50;
     const height = piece.getHeight ? piece.getHeight() : 50;
@@ -1094,9 +2261,6 @@ class OBJExporter {
     // Uncomment to debug bounding box dimensions: console.log(`    📐 Box dimensions: ${width.toFixed(1)} x ${depth.toFixed(1)} x ${height.toFixed(1)}`);
     // Uncomment to debug bounding box position: console.log(`    📍 Position: (${x.toFixed(1)}, ${y.toFixed(1)}, ${elevation.toFixed(1)}), angle: ${(angle * 180 / Math.PI).toFixed(1)}°`);
 
-    const cos = Math.cos(angle);
-    const sin = Math.sin(angle);
-
     // Box vertices in local coordinates
     const localVerts = [
       [-width/2, 0, -depth/2],
@@ -1109,12 +2273,10 @@ class OBJExporter {
       [-width/2, height, depth/2]
     ];
 
-    // Transform vertices
-    const verts = localVerts.map(v => {
-      const rx = v[0] * cos - v[2] * sin;
-      const rz = v[0] * sin + v[2] * cos;
-      return [x + rx, elevation + v[1], y + rz];
-    });
+    // Transform vertices with roll, pitch and angle (a box looks the same mirrored)
+    const transform = this.getPieceTransform(piece, x, y, elevation, angle,
+      { min: [-width / 2, 0, -depth / 2], max: [width / 2, height, depth / 2] }, false);
+    const verts = localVerts.map(v => transform.point(v));
 
     // Check for furniture color override
     const furnitureColor = piece.getColor ? piece.getColor() : null;
@@ -1140,14 +2302,14 @@ class OBJExporter {
     this.setMaterial(materialName);
     
     // Bottom
-    this.addQuad(verts[0], verts[1], verts[2], verts[3], [0, -1, 0]);
+    this.addQuad(verts[0], verts[1], verts[2], verts[3], transform.normal([0, -1, 0]));
     // Top
-    this.addQuad(verts[4], verts[7], verts[6], verts[5], [0, 1, 0]);
+    this.addQuad(verts[4], verts[7], verts[6], verts[5], transform.normal([0, 1, 0]));
     // Sides
-    this.addQuad(verts[0], verts[3], verts[7], verts[4], [-cos, 0, -sin]);
-    this.addQuad(verts[1], verts[5], verts[6], verts[2], [cos, 0, sin]);
-    this.addQuad(verts[3], verts[2], verts[6], verts[7], [sin, 0, -cos]);
-    this.addQuad(verts[0], verts[4], verts[5], verts[1], [-sin, 0, cos]);
+    this.addQuad(verts[0], verts[3], verts[7], verts[4], transform.normal([-1, 0, 0]));
+    this.addQuad(verts[1], verts[5], verts[6], verts[2], transform.normal([1, 0, 0]));
+    this.addQuad(verts[3], verts[2], verts[6], verts[7], transform.normal([0, 0, -1]));
+    this.addQuad(verts[0], verts[4], verts[5], verts[1], transform.normal([0, 0, 1]));
   }
 
   /**
@@ -1190,6 +2352,50 @@ class OBJExporter {
     return triangles;
   }
 
+  /**
+   * Triangulate a simple polygon, convex or not, by ear clipping
+   * @param {Array} points - Polygon points [[x, y], ...] in either orientation
+   * @returns {Array} - Triangles [[x, y] x 3]
+   */
+  triangulateSimplePolygon(points) {
+    const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+    const signedArea = points.reduce((sum, p, k) => {
+      const q = points[(k + 1) % points.length];
+      return sum + p[0] * q[1] - q[0] * p[1];
+    }, 0);
+    const orientation = Math.sign(signedArea) || 1;
+    const remaining = points.slice();
+    const triangles = [];
+    while (remaining.length > 3) {
+      let earFound = false;
+      for (let k = 0; k < remaining.length; k++) {
+        const a = remaining[(k + remaining.length - 1) % remaining.length];
+        const b = remaining[k];
+        const c = remaining[(k + 1) % remaining.length];
+        if (orientation * cross(a, b, c) <= 0) {
+          continue;
+        }
+        // No other point inside the ear
+        const inside = remaining.some(p => p !== a && p !== b && p !== c
+          && orientation * cross(a, b, p) >= 0 && orientation * cross(b, c, p) >= 0 && orientation * cross(c, a, p) >= 0);
+        if (!inside) {
+          triangles.push([a, b, c]);
+          remaining.splice(k, 1);
+          earFound = true;
+          break;
+        }
+      }
+      if (!earFound) {
+        // Degenerate polygon: keep a fan of what remains
+        break;
+      }
+    }
+    for (let k = 1; k < remaining.length - 1; k++) {
+      triangles.push([remaining[0], remaining[k], remaining[k + 1]]);
+    }
+    return triangles;
+  }
+
   /**
    * Add a quad face (2 triangles)
    */
@@ -1211,7 +2417,9 @@ class OBJExporter {
       vertices: [i1, i2, i3],
       normals: [ni, ni, ni],
       texCoords: [null, null, null], // Add texture coordinates if needed
-      material: this.currentMaterial
+      material: this.currentMaterial,
+      group: this.currentGroup,
+      object: this.currentObject
     });
   }
 
@@ -1254,49 +2462,372 @@ class OBJExporter {
       vertices: [i1, i2, i3],
       normals: [ni, ni, ni],
       texCoords: [ti1, ti2, ti3], // NOW HAS VALUES
-      material: this.currentMaterial
+      material: this.currentMaterial,
+      group: this.currentGroup,
+      object: this.currentObject
     });
   }
 
   /**
-   * Add vertex and return its index
+   * Add vertex and return its index
+   */
+  addVertex(v) {
+    // Always add a new vertex; duplicates are welded by optimizeGeometry
+    this.vertices.push(v);
+    return this.vertexIndex++;
+  }
+
+  /**
+   * Add normal and return its index
+   */
+  addNormal(n) {
+    // Unity compatibility: Validate normals
+    // Check for NaN or zero length
+    if (isNaN(n[0]) || isNaN(n[1]) || isNaN(n[2])) {
+      return null;
+    }
+    
+    // Check for zero length vector (approximate)
+    if (Math.abs(n[0]) < 1e-6 && Math.abs(n[1]) < 1e-6 && Math.abs(n[2]) < 1e-6) {
+      return null;
+    }
+
+    this.normals.push(n);
+    return this.normalIndex++;
+  }
+
+  /**
+   * Add texture coordinate
+   */
+  addTexCoord(u, v) {
+    this.texCoords.push([u, v]);
+    return this.texCoordIndex++;
+  }
+
+  // ========================================================================
+  // Output Coordinates
+  // ========================================================================
+
+  /**
+   * Build the coordinate transform shared by the geometry and the device data of an export.
+   * Plan coordinates and elevations in cm are moved to the chosen origin, then converted to the chosen
+   * unit and axes: X = plan X, Y up, Z = plan Y (right-handed) or -plan Y (left-handed).
+   * @param {Home} home - The SweetHome3D home object
+   * @param {Object} options - Export options (see exportToOBJ): origin, unit, handedness, and the options
+   *                           selecting the exported items, framed by the 'center' origin
+   * @param {string} defaultUnit - Unit used when options.unit isn't set
+   * @returns {Object} - {unit, handedness, origin: {type, name, x, y} in plan cm, scale from cm, zSign,
+   *                     point(x, y, elevation), length(cm), rotation(angle), toJSON()}
+   * @throws {Error} - If the named origin matches no label or piece of furniture
+   */
+  static getCoordinateTransform(home, options = {}, defaultUnit = 'cm') {
+    const unit = (options.unit || defaultUnit) === 'm' ? 'm' : 'cm';
+    const handedness = options.handedness === 'left' ? 'left' : 'right';
+    return OBJExporter.createCoordinateTransform(unit, handedness, OBJExporter.getCoordinateOrigin(home, options));
+  }
+
+  /**
+   * Build a coordinate transform from its unit, handedness and origin (see getCoordinateTransform)
+   * @param {string} unit - 'cm' or 'm'
+   * @param {string} handedness - 'right' or 'left'
+   * @param {Object} origin - {type, name, x, y} in plan cm (see getCoordinateOrigin)
+   */
+  static createCoordinateTransform(unit, handedness, origin) {
+    const scale = unit === 'm' ? 0.01 : 1;
+    const zSign = handedness === 'left' ? -1 : 1;
+
+    return {
+      unit,
+      handedness,
+      origin,
+      scale,
+      zSign,
+      // Plan point and elevation in cm -> {x, y, z} in output coordinates
+      point: (x, y, elevation = 0) => ({
+        x: (x - origin.x) * scale,
+        y: elevation * scale,
+        z: (y - origin.y) * scale * zSign
+      }),
+      length: value => value * scale,
+      // Plan angle in radians, clockwise seen from above -> rotation around Y in degrees
+      rotation: angle => angle * (180 / Math.PI) * zSign,
+      // Description written in exported files
+      toJSON: () => ({
+        unit: unit === 'm' ? 'meters' : 'centimeters',
+        handedness,
+        origin: { type: origin.type, name: origin.name, planX: origin.x, planY: origin.y },
+        xAxis: 'plan x',
+        yAxis: 'up',
+        zAxis: zSign === 1 ? 'plan y' : '-plan y'
+      })
+    };
+  }
+
+  /**
+   * Get the plan bounding box of the exported walls, rooms and furniture, in cm
+   * @param {Object} options - Export options selecting items (see getExportFilter)
+   * @returns {Object|null} - {xMin, yMin, xMax, yMax}, or null when nothing is exported
+   */
+  static getExportBounds(home, options = {}) {
+    const filter = OBJExporter.getExportFilter(home, options);
+    const points = [];
+    for (const wall of (home.getWalls ? home.getWalls() : null) || []) {
+      if (filter.acceptsItem(wall)) {
+        points.push([wall.getXStart(), wall.getYStart()], [wall.getXEnd(), wall.getYEnd()]);
+      }
+    }
+    for (const room of (home.getRooms ? home.getRooms() : null) || []) {
+      if (filter.acceptsItem(room)) {
+        points.push(...room.getPoints());
+      }
+    }
+    for (const entry of OBJExporter.flattenFurniture((home.getFurniture ? home.getFurniture() : null) || [])) {
+      if (!entry.isGroup && filter.acceptsFurniture(entry)) {
+        points.push(...(entry.piece.getPoints ? entry.piece.getPoints() : [[entry.piece.getX(), entry.piece.getY()]]));
+      }
+    }
+    if (points.length === 0) {
+      return null;
+    }
+    const xs = points.map(p => p[0]);
+    const ys = points.map(p => p[1]);
+    return { xMin: Math.min(...xs), yMin: Math.min(...ys), xMax: Math.max(...xs), yMax: Math.max(...ys) };
+  }
+
+  /**
+   * Get the plan point used as origin of exported coordinates, in cm
+   * @param {Home} home - The SweetHome3D home object
+   * @param {Object} options - Export options: origin is 'plan' (default), 'center' for the center of the
+   *                           bounding box of exported walls, rooms and furniture, or the text of a label
+   *                           or the name of a piece of furniture
+   * @returns {Object} - {type: 'plan', 'center' or 'point', name, x, y}
+   */
+  static getCoordinateOrigin(home, options = {}) {
+    const origin = options.origin || 'plan';
+    if (origin === 'plan') {
+      return { type: 'plan', name: null, x: 0, y: 0 };
+    }
+
+    if (origin === 'center') {
+      const bounds = OBJExporter.getExportBounds(home, options);
+      if (!bounds) {
+        return { type: 'center', name: null, x: 0, y: 0 };
+      }
+      return {
+        type: 'center',
+        name: null,
+        x: (bounds.xMin + bounds.xMax) / 2,
+        y: (bounds.yMin + bounds.yMax) / 2
+      };
+    }
+
+    // Named point: a label of the plan, or else a piece of furniture
+    const label = ((home.getLabels ? home.getLabels() : null) || []).find(label => label.getText && label.getText() === origin);
+    if (label) {
+      return { type: 'point', name: origin, x: label.getX(), y: label.getY() };
+    }
+    const entry = OBJExporter.flattenFurniture((home.getFurniture ? home.getFurniture() : null) || [])
+      .find(entry => entry.piece.getName && entry.piece.getName() === origin);
+    if (entry) {
+      return { type: 'point', name: origin, x: entry.piece.getX(), y: entry.piece.getY() };
+    }
+    throw new Error(`Origin not found: ${origin}`);
+  }
+
+  /**
+   * Convert exported geometry from plan centimeters and right-handed axes with the given transform
+   * @param {Object} transform - Coordinate transform (see getCoordinateTransform)
+   */
+  applyOutputCoordinates(transform) {
+    const { origin, scale, zSign } = transform;
+    if (origin.x !== 0 || origin.y !== 0 || scale !== 1 || zSign !== 1) {
+      this.vertices = this.vertices.map(v => [(v[0] - origin.x) * scale, v[1] * scale, (v[2] - origin.y) * scale * zSign]);
+    }
+    if (zSign !== 1) {
+      // Mirroring Z turns faces inside out: restore their winding
+      this.normals = this.normals.map(n => [n[0], n[1], -n[2]]);
+      for (const face of this.faces) {
+        for (const key of ['vertices', 'normals', 'texCoords']) {
+          face[key] = [face[key][0], face[key][2], face[key][1]];
+        }
+      }
+    }
+  }
+
+  // ========================================================================
+  // WebGL Optimization
+  // ========================================================================
+
+  /**
+   * Weld vertices, normals and texture coordinates closer than a tolerance,
+   * then keep only the ones used by faces and renumber face indices
+   * @param {number} tolerance - Distance in cm under which vertices are welded
+   * @returns {Object} - Counts before and after optimization
    */
-  addVertex(v) {
-    // Check if vertex already exists (for efficiency)
-    const key = this.formatNumber(v[0]) + ',' + 
-                this.formatNumber(v[1]) + ',' + 
-                this.formatNumber(v[2]);
-    
-    // For now, always add new vertex (can optimize later)
-    this.vertices.push(v);
-    return this.vertexIndex++;
+  optimizeGeometry(tolerance = 0.01) {
+    const before = {
+      vertices: this.vertices.length,
+      normals: this.normals.length,
+      texCoords: this.texCoords.length
+    };
+    // Normals and texture coordinates are welded at a fixed precision
+    this.vertices = this.weldFaceIndices('vertices', this.vertices, tolerance);
+    this.normals = this.weldFaceIndices('normals', this.normals, 1e-4);
+    this.texCoords = this.weldFaceIndices('texCoords', this.texCoords, 1e-5);
+    this.vertexIndex = this.vertices.length + 1;
+    this.normalIndex = this.normals.length + 1;
+    this.texCoordIndex = this.texCoords.length + 1;
+
+    const stats = {
+      vertices: [before.vertices, this.vertices.length],
+      normals: [before.normals, this.normals.length],
+      texCoords: [before.texCoords, this.texCoords.length]
+    };
+    // Uncomment to see optimization stats: console.log('✓ Geometry optimized (before, after):', stats);
+    return stats;
   }
 
   /**
-   * Add normal and return its index
+   * Weld the values referenced by a face index list, in order of first use
+   * @param {string} key - Face index list: 'vertices', 'normals' or 'texCoords'
+   * @param {Array} values - Values referenced by 1-based indices
+   * @param {number} step - Values whose coordinates round to the same multiple of step are welded
+   * @returns {Array} - Used and welded values, faces being updated to reference them
    */
-  addNormal(n) {
-    // Unity compatibility: Validate normals
-    // Check for NaN or zero length
-    if (isNaN(n[0]) || isNaN(n[1]) || isNaN(n[2])) {
-      return null;
-    }
-    
-    // Check for zero length vector (approximate)
-    if (Math.abs(n[0]) < 1e-6 && Math.abs(n[1]) < 1e-6 && Math.abs(n[2]) < 1e-6) {
-      return null;
+  weldFaceIndices(key, values, step) {
+    const welded = [];
+    const weldedIndices = new Map(); // Rounded coordinates -> new index
+    const newIndices = new Map(); // Old index -> new index
+    for (const face of this.faces) {
+      face[key] = face[key].map(index => {
+        if (index === null || index === undefined) {
+          return index;
+        }
+        let newIndex = newIndices.get(index);
+        if (newIndex === undefined) {
+          const value = values[index - 1];
+          const roundedValue = value.map(coordinate => Math.round(coordinate / step)).join(',');
+          newIndex = weldedIndices.get(roundedValue);
+          if (newIndex === undefined) {
+            welded.push(value);
+            newIndex = welded.length;
+            weldedIndices.set(roundedValue, newIndex);
+          }
+          newIndices.set(index, newIndex);
+        }
+        return newIndex;
+      });
     }
-
-    this.normals.push(n);
-    return this.normalIndex++;
+    return welded;
   }
 
   /**
-   * Add texture coordinate
+   * Decimate the faces added since firstFace to at most triangleBudget triangles by vertex clustering:
+   * vertices in the same cell of a grid over the faces bounds are merged at their average position,
+   * and triangles that collapse or duplicate another one are removed. The finest grid meeting
+   * the budget is kept; normals and texture coordinates of the remaining corners are unchanged.
+   * Models that would need a grid coarser than 8 cells along their largest side are left unchanged.
+   * @param {number} firstFace - Index of the first face to decimate, the following ones being of the same model
+   * @param {number} triangleBudget - Maximum count of triangles
+   * @returns {number} - Count of removed triangles
    */
-  addTexCoord(u, v) {
-    this.texCoords.push([u, v]);
-    return this.texCoordIndex++;
+  decimateFaces(firstFace, triangleBudget) {
+    const faces = this.faces.slice(firstFace);
+    if (faces.length <= triangleBudget) {
+      return 0;
+    }
+
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (const face of faces) {
+      for (const index of face.vertices) {
+        const vertex = this.vertices[index - 1];
+        for (let axis = 0; axis < 3; axis++) {
+          min[axis] = Math.min(min[axis], vertex[axis]);
+          max[axis] = Math.max(max[axis], vertex[axis]);
+        }
+      }
+    }
+    const size = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) || 1;
+
+    const cluster = (resolution) => {
+      const cellSize = size / resolution;
+      const cells = new Map(); // Vertex index -> cell
+      const getCell = (index) => {
+        let cell = cells.get(index);
+        if (cell === undefined) {
+          const vertex = this.vertices[index - 1];
+          const [x, y, z] = [0, 1, 2].map(axis =>
+            Math.min(resolution - 1, Math.floor((vertex[axis] - min[axis]) / cellSize)));
+          cell = x + resolution * (y + resolution * z);
+          cells.set(index, cell);
+        }
+        return cell;
+      };
+      const kept = [];
+      const keptTriangles = new Set();
+      for (const face of faces) {
+        const [a, b, c] = face.vertices.map(getCell);
+        if (a === b || b === c || a === c) {
+          continue;
+        }
+        // Same triangle with the same winding, whatever its first corner (opposite faces are kept)
+        const triangle = a < b && a < c ? [a, b, c] : b < c ? [b, c, a] : [c, a, b];
+        const triangleKey = `${triangle.join(',')},${face.material}`;
+        if (!keptTriangles.has(triangleKey)) {
+          keptTriangles.add(triangleKey);
+          kept.push({ face, cells: [a, b, c] });
+        }
+      }
+      return { kept, cells };
+    };
+
+    // Coarser grids than 8 cells along the largest side collapse the model to a few blobs:
+    // the model is then kept undecimated, only welded
+    const minResolution = 8;
+    if (cluster(minResolution).kept.length > triangleBudget) {
+      console.warn(`Model of ${faces.length} triangles can't be decimated to ${triangleBudget} triangles, keeping it`);
+      return 0;
+    }
+
+    // Binary search of the finest grid resolution meeting the budget
+    let low = minResolution;
+    let high = 1024;
+    while (high - low > 1) {
+      const resolution = Math.floor((low + high) / 2);
+      if (cluster(resolution).kept.length <= triangleBudget) {
+        low = resolution;
+      } else {
+        high = resolution;
+      }
+    }
+    const { kept, cells } = cluster(low);
+
+    // One vertex per used cell, at the average position of its vertices
+    const cellSums = new Map();
+    for (const [index, cell] of cells) {
+      const vertex = this.vertices[index - 1];
+      const sum = cellSums.get(cell) || [0, 0, 0, 0];
+      sum[0] += vertex[0];
+      sum[1] += vertex[1];
+      sum[2] += vertex[2];
+      sum[3]++;
+      cellSums.set(cell, sum);
+    }
+    const cellVertices = new Map();
+    const getCellVertex = (cell) => {
+      if (!cellVertices.has(cell)) {
+        const sum = cellSums.get(cell);
+        cellVertices.set(cell, this.addVertex([sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]]));
+      }
+      return cellVertices.get(cell);
+    };
+
+    this.faces.length = firstFace;
+    for (const { face, cells: faceCells } of kept) {
+      this.faces.push({ ...face, vertices: faceCells.map(getCellVertex) });
+    }
+    return faces.length - kept.length;
   }
 
   /**
@@ -1344,6 +2875,108 @@ class OBJExporter {
     this.currentMaterial = materialName;
   }
 
+  /**
+   * Set current OBJ group (null for no group)
+   */
+  setGroup(groupName) {
+    this.currentGroup = groupName;
+  }
+
+  /**
+   * Get the OBJ object name of a wall, room or piece: its SweetHome3D id (e.g., 'wall-1b2c...'),
+   * stable across exports, or '<type>_<index>' for objects without id
+   * @param {Object} item - Wall, room or piece of furniture
+   * @param {string} type - 'wall', 'room' or 'furniture'
+   * @param {number} index - Index of the item in its home list
+   */
+  static getObjectName(item, type, index) {
+    const id = item && item.getId ? item.getId() : null;
+    return id ? String(id).replace(/[^a-zA-Z0-9_-]/g, '_') : `${type}_${index}`;
+  }
+
+  /**
+   * List furniture depth first, each furniture group followed by its pieces
+   * @param {Array} furniture - Furniture list (home or group furniture)
+   * @returns {Array} - Entries {piece, index, isGroup, parents}: index is the position path in the home
+   *                    furniture (e.g., 3, or '3_1' for the second piece of the fourth item) and parents
+   *                    the entries of the enclosing groups, outermost first
+   */
+  static flattenFurniture(furniture, parents = [], indexPrefix = '') {
+    const entries = [];
+    (furniture || []).forEach((piece, i) => {
+      const entry = {
+        piece,
+        index: indexPrefix ? `${indexPrefix}_${i}` : i,
+        isGroup: typeof piece.getFurniture === 'function',
+        parents
+      };
+      entries.push(entry);
+      if (entry.isGroup) {
+        entries.push(...OBJExporter.flattenFurniture(piece.getFurniture(), [...parents, entry], String(entry.index)));
+      }
+    });
+    return entries;
+  }
+
+  /**
+   * Get the level name of an item, or null
+   */
+  getItemLevelName(item) {
+    const level = this.getItemLevel(item);
+    return level && level.getName ? level.getName() : null;
+  }
+
+  /**
+   * Start a named OBJ object; faces added until endObject belong to it
+   * @param {Array} parents - Entries of the furniture groups enclosing a piece (see flattenFurniture)
+   */
+  beginObject(item, type, index, parents = []) {
+    this.currentObject = OBJExporter.getObjectName(item, type, index);
+    this.currentParents = parents.map(parent => ({
+      name: OBJExporter.getObjectName(parent.piece, 'group', parent.index),
+      index: parent.index,
+      piece: parent.piece
+    }));
+    this.objectStart = {
+      firstFace: this.faces.length,
+      entry: {
+        name: this.currentObject,
+        type,
+        index,
+        level: this.getItemLevelName(item),
+        parent: parents.length > 0 ? this.currentParents[parents.length - 1].name : null
+      }
+    };
+  }
+
+  /**
+   * End the current OBJ object, recording it for the manifest if it has faces,
+   * after the groups enclosing it that aren't recorded yet
+   */
+  endObject() {
+    if (this.objectStart && this.faces.length > this.objectStart.firstFace) {
+      const groupNames = [];
+      for (const group of this.currentParents) {
+        if (!this.objectParents.has(group.name)) {
+          this.objects.push({
+            name: group.name,
+            type: 'group',
+            index: group.index,
+            level: this.getItemLevelName(group.piece),
+            parent: groupNames.length > 0 ? groupNames[groupNames.length - 1] : null
+          });
+          this.objectParents.set(group.name, groupNames.slice());
+        }
+        groupNames.push(group.name);
+      }
+      this.objects.push(this.objectStart.entry);
+      this.objectParents.set(this.objectStart.entry.name, groupNames);
+    }
+    this.currentObject = null;
+    this.currentParents = [];
+    this.objectStart = null;
+  }
+
   /**
    * Get material name for wall (with texture support)
    * @param {Wall} wall - Wall object
@@ -1483,6 +3116,142 @@ class OBJExporter {
     return this.getWallMaterial(wall, wallIndex);
   }
 
+  /**
+   * Get material name for a wall baseboard (with texture support)
+   * Baseboards without color or texture look like the wall side they're on, as in SweetHome3D.
+   * @param {Baseboard} baseboard - Baseboard of the wall side
+   * @param {string} sideName - 'left' or 'right'
+   * @param {number} wallIndex - Wall index for naming
+   * @param {string} sideMaterialName - Material of the wall side
+   * @returns {Promise<string>} - Material name
+   */
+  async getBaseboardMaterial(baseboard, sideName, wallIndex, sideMaterialName) {
+    // 1. Check for textures FIRST (textures take priority over colors)
+    const texture = baseboard.getTexture ? baseboard.getTexture() : null;
+
+    if (texture) {
+      try {
+        const textureImage = texture.getImage ? texture.getImage() : null;
+        if (textureImage) {
+          const textureURL = textureImage.getURL ? textureImage.getURL() : null;
+          if (textureURL) {
+            const textureData = await this.fetchTextureData(textureURL);
+            const textureName = await this.addTexture(`wall_${wallIndex}_${sideName}_baseboard`, textureURL, textureData);
+            const transform = this.parseTextureTransform(texture);
+
+            const materialName = `wall_${wallIndex}_${sideName}_baseboard_textured`;
+            this.materials.set(materialName, {
+              name: materialName,
+              ambient: [0.2, 0.2, 0.2],
+              diffuse: [0.8, 0.8, 0.8],
+              specular: [0.3, 0.3, 0.3],
+              shininess: 20,
+              transparency: 1.0,
+              texture: textureName,
+              textureTransform: transform
+            });
+
+            return materialName;
+          }
+        }
+      } catch (error) {
+        console.warn(`⚠️ Failed to load ${sideName} baseboard texture for wall ${wallIndex}:`, error.message);
+        // Fall through to color-based material
+      }
+    }
+
+    // 2. Fall back to color-based material
+    const color = baseboard.getColor ? baseboard.getColor() : null;
+
+    if (color !== null && color !== undefined) {
+      const r = (color >> 16 & 0xFF) / 255.0;
+      const g = (color >> 8 & 0xFF) / 255.0;
+      const b = (color & 0xFF) / 255.0;
+
+      const materialName = `baseboard_${Math.round(r*255)}_${Math.round(g*255)}_${Math.round(b*255)}`;
+
+      if (!this.materials.has(materialName)) {
+        this.materials.set(materialName, {
+          name: materialName,
+          ambient: [r * 0.2, g * 0.2, b * 0.2],
+          diffuse: [r, g, b],
+          specular: [0.3, 0.3, 0.3],
+          shininess: 20,
+          transparency: 1.0,
+          texture: null
+        });
+      }
+
+      return materialName;
+    }
+
+    // 3. Same material as the wall side
+    return sideMaterialName;
+  }
+
+  /**
+   * Get material name for the ground, from the home environment (with texture support)
+   * @returns {Promise<string>} - Material name
+   */
+  async getGroundMaterial(home) {
+    const environment = home.getEnvironment ? home.getEnvironment() : null;
+    // 1. Check for textures FIRST (textures take priority over colors)
+    const groundTexture = environment && environment.getGroundTexture ? environment.getGroundTexture() : null;
+
+    if (groundTexture) {
+      try {
+        const textureImage = groundTexture.getImage ? groundTexture.getImage() : null;
+        if (textureImage) {
+          const textureURL = textureImage.getURL ? textureImage.getURL() : null;
+          if (textureURL) {
+            const textureData = await this.fetchTextureData(textureURL);
+            const textureName = await this.addTexture('ground', textureURL, textureData);
+            const transform = this.parseTextureTransform(groundTexture);
+
+            const materialName = 'ground_textured';
+            this.materials.set(materialName, {
+              name: materialName,
+              ambient: [0.2, 0.2, 0.2],
+              diffuse: [0.8, 0.8, 0.8],
+              specular: [0.1, 0.1, 0.1],
+              shininess: 10,
+              transparency: 1.0,
+              texture: textureName,
+              textureTransform: transform
+            });
+
+            return materialName;
+          }
+        }
+      } catch (error) {
+        console.warn('⚠️ Failed to load ground texture:', error.message);
+        // Fall through to color-based material
+      }
+    }
+
+    // 2. Fall back to the ground color, SweetHome3D's default one without environment
+    const groundColor = environment && environment.getGroundColor ? environment.getGroundColor() : 0xA8A8A8;
+    const r = (groundColor >> 16 & 0xFF) / 255.0;
+    const g = (groundColor >> 8 & 0xFF) / 255.0;
+    const b = (groundColor & 0xFF) / 255.0;
+
+    const materialName = `ground_${Math.round(r*255)}_${Math.round(g*255)}_${Math.round(b*255)}`;
+
+    if (!this.materials.has(materialName)) {
+      this.materials.set(materialName, {
+        name: materialName,
+        ambient: [r * 0.2, g * 0.2, b * 0.2],
+        diffuse: [r, g, b],
+        specular: [0.1, 0.1, 0.1],
+        shininess: 10,
+        transparency: 1.0,
+        texture: null
+      });
+    }
+
+    return materialName;
+  }
+
   /**
    * Get material for room floor
    */
@@ -1640,8 +3409,8 @@ class OBJExporter {
    */
   buildOBJContent() {
     const p = this.precision;
-    // Pre-allocate array: comments + vertices + normals + texCoords + faces + material switches
-    const estimatedLines = 4 + this.vertices.length + this.normals.length + this.texCoords.length + this.faces.length * 2;
+    // Pre-allocate array: comments + vertices + normals + texCoords + faces + material/group switches
+    const estimatedLines = 4 + this.vertices.length + this.normals.length + this.texCoords.length + this.faces.length * 3;
     const parts = new Array(estimatedLines);
     let idx = 0;
 
@@ -1671,12 +3440,26 @@ class OBJExporter {
       parts[idx++] = '\n';
     }
 
-    // Write faces grouped by material
+    // Write faces by object (o + level and object groups), then by material
     parts[idx++] = `# Faces: ${this.faces.length}\n`;
     let currentMat = null;
+    let currentGroup = null;
+    let currentObject = null;
 
     for (let i = 0, len = this.faces.length; i < len; i++) {
       const face = this.faces[i];
+      if (face.object && face.object !== currentObject) {
+        currentObject = face.object;
+        currentGroup = face.group;
+        currentMat = null; // Re-emit usemtl so each object carries its own material switch
+        // Groups: level, enclosing furniture groups, then the object itself
+        const groupNames = [face.group, ...(this.objectParents.get(currentObject) || []), currentObject];
+        parts[idx++] = `\no ${currentObject}\ng ${groupNames.filter(Boolean).join(' ')}\n`;
+      } else if (face.group && face.group !== currentGroup) {
+        currentGroup = face.group;
+        currentMat = null; // Re-emit usemtl so each group carries its own material switch
+        parts[idx++] = `\ng ${currentGroup}\n`;
+      }
       if (face.material !== currentMat) {
         currentMat = face.material;
         parts[idx++] = `\nusemtl ${currentMat}\n`;
@@ -1703,8 +3486,9 @@ class OBJExporter {
 
   /**
    * Build MTL file content
+   * @param {string} textureDirectory - Directory of the texture files, relative to the MTL file ('' when next to it)
    */
-  buildMTLContent() {
+  buildMTLContent(textureDirectory = '') {
     const p = this.precision;
     const date = new Date().toISOString();
     const parts = [`# MTL file generated by OBJExporter.js\n# Date: ${date}\n\n`];
@@ -1725,7 +3509,7 @@ class OBJExporter {
       parts.push(`illum 2\n`);
 
       if (mat.texture) {
-        parts.push(`map_Kd ${mat.texture}\n`);
+        parts.push(`map_Kd ${textureDirectory}${mat.texture}\n`);
       }
 
       parts.push('\n');
@@ -1735,9 +3519,222 @@ class OBJExporter {
   }
 
   /**
-   * Create ZIP file with OBJ, MTL, and textures
+   * Build the export manifest: exported objects and the object of each device
+   * @param {string} baseName - Base name of the OBJ file
+   * @param {Array} devices - Devices with id and objectName (see UnityExportUtilities.extractDeviceMetadata)
+   */
+  buildManifest(baseName, devices = []) {
+    const exportedNames = new Set(this.objects.map(object => object.name));
+    const deviceObjects = {};
+    for (const device of devices || []) {
+      if (device.objectName && exportedNames.has(device.objectName)) {
+        deviceObjects[device.id] = device.objectName;
+      }
+    }
+
+    return {
+      version: '1.0',
+      obj: `${baseName}.obj`,
+      coordinateSystem: this.coordinateTransform ? this.coordinateTransform.toJSON() : null,
+      objects: this.objects,
+      devices: deviceObjects
+    };
+  }
+
+  /**
+   * Build the OBJ, MTL and manifest files of the exported geometry and ZIP them with textures
+   * @param {string} baseName - Base name of the OBJ file
+   * @param {string} objHeader - Text written before the OBJ content
+   * @param {Object} options - Export options (see exportToOBJ)
+   * @returns {Promise<Blob>} - ZIP file
+   */
+  async buildZip(baseName, objHeader, options = {}) {
+    const manifest = this.buildManifest(baseName, options.devices);
+    await this.reportProgress(options, 'zip', 0, 3);
+    const objContent = objHeader + this.buildOBJContent();
+    await this.reportProgress(options, 'zip', 1, 3);
+    const mtlContent = this.buildMTLContent();
+    await this.reportProgress(options, 'zip', 2, 3);
+    const zipBlob = await this.createZipFile(baseName, objContent, mtlContent, manifest);
+    await this.reportProgress(options, 'zip', 3, 3);
+    return zipBlob;
+  }
+
+  /**
+   * Export the geometry of a home in objExportWorker.js, from a copy of the home read from its XML:
+   * walls, rooms and furniture models are built there, then the OBJ, MTL and ZIP files, or the GLB file.
+   * The exported geometry is then copied to this exporter.
+   * @param {string} format - 'obj' for a ZIP file, 'glb' for a GLB file (GLTFExporter)
+   * @param {string} baseName - Base name of the OBJ file
+   * @param {string} objHeader - Text written before the OBJ content
+   * @param {Object} options - Export options (see exportToOBJ)
+   * @returns {Promise<Blob|null>} - Exported file, or null when the worker can't be used
+   * @throws {Error} - AbortError if options.signal was aborted
+   */
+  async exportInWorker(home, format, baseName, objHeader, options = {}) {
+    const workerURL = options.workerURL !== undefined ? options.workerURL : OBJExporter.workerURL;
+    if (!workerURL || typeof Worker === 'undefined' || typeof HomeXMLExporter === 'undefined') {
+      return null;
+    }
+    try {
+      const message = {
+        format,
+        baseName,
+        baseURL: document.baseURI,
+        objHeader,
+        homeXML: OBJExporter.getHomeXML(home),
+        transform: {
+          unit: this.coordinateTransform.unit,
+          handedness: this.coordinateTransform.handedness,
+          origin: this.coordinateTransform.origin
+        },
+        options: OBJExporter.getWorkerOptions(home, options)
+      };
+      const { blob, state } = await this.runWorker(workerURL, message, options);
+      Object.assign(this, state);
+      return blob;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      console.warn('OBJ export worker unavailable, exporting on the main thread:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Post an export message to a new objExportWorker.js, forwarding its progress to options.onProgress
+   * @returns {Promise<Object>} - {blob, state} sent back by the worker
+   */
+  runWorker(workerURL, message, options) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(workerURL);
+      const onAbort = () => {
+        worker.terminate();
+        reject(OBJExporter.createAbortError());
+      };
+      const finish = () => {
+        worker.terminate();
+        if (options.signal) {
+          options.signal.removeEventListener('abort', onAbort);
+        }
+      };
+      if (options.signal) {
+        if (options.signal.aborted) {
+          onAbort();
+          return;
+        }
+        options.signal.addEventListener('abort', onAbort);
+      }
+      worker.onmessage = (event) => {
+        const message = event.data;
+        if (message.progress) {
+          if (options.onProgress) {
+            options.onProgress(message.progress);
+          }
+        } else if (message.error) {
+          finish();
+          reject(new Error(message.error));
+        } else {
+          finish();
+          resolve(message);
+        }
+      };
+      worker.onerror = (event) => {
+        finish();
+        reject(new Error(event.message || 'OBJ export worker failed'));
+      };
+      try {
+        worker.postMessage(message);
+      } catch (error) {
+        finish();
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Write a home in the XML format of SweetHome3D files, read back by objExportWorker.js.
+   * Contents (models and textures) are written as absolute URLs, the worker having another base URL.
+   * @returns {string} - Home.xml content
+   */
+  static getHomeXML(home) {
+    const baseURL = document.baseURI;
+    const toAbsoluteURL = url => {
+      // jar:<zip URL>!/<entry>
+      const jar = url.match(/^jar:(.*?)(!\/.*)$/);
+      return jar ? 'jar:' + new URL(jar[1], baseURL).href + jar[2] : new URL(url, baseURL).href;
+    };
+    const exporter = new HomeXMLExporter();
+    exporter.getExportedContentName = (item, content) => content ? toAbsoluteURL(content.getURL()) : null;
+    const writer = new StringWriter();
+    exporter.writeElement(new XMLWriter(writer), home);
+    return writer.toString();
+  }
+
+  /**
+   * Get the export options sent to objExportWorker.js: functions, the abort signal and the transform stay here,
+   * exported levels and selected items being given by their index in the home (see selectItems)
+   * @param {Object} options - Export options (see exportToOBJ)
+   */
+  static getWorkerOptions(home, options = {}) {
+    const { onProgress, signal, coordinateTransform, workerURL, level, ...workerOptions } = options;
+    const levels = (home.getLevels ? home.getLevels() : null) || [];
+    if (level !== null && level !== undefined && level !== 'all' && levels.length > 0) {
+      workerOptions.level = OBJExporter.getExportLevels(home, level).map(exported => levels.indexOf(exported));
+    }
+    if (options.selectedOnly) {
+      const selectedItems = (home.getSelectedItems ? home.getSelectedItems() : null) || [];
+      const indicesOf = items => items.map((item, i) => selectedItems.indexOf(item) !== -1 ? i : -1).filter(i => i !== -1);
+      workerOptions.selection = {
+        walls: indicesOf((home.getWalls ? home.getWalls() : null) || []),
+        rooms: indicesOf((home.getRooms ? home.getRooms() : null) || []),
+        furniture: OBJExporter.flattenFurniture((home.getFurniture ? home.getFurniture() : null) || [])
+          .filter(entry => selectedItems.indexOf(entry.piece) !== -1)
+          .map(entry => entry.index)
+      };
+    }
+    return workerOptions;
+  }
+
+  /**
+   * Select the walls, rooms and furniture of a home at the indices of getWorkerOptions
+   * @param {Object} selection - {walls, rooms, furniture}: indices of walls and rooms, and furniture indices of flattenFurniture
+   */
+  static selectItems(home, selection) {
+    const walls = home.getWalls() || [];
+    const rooms = home.getRooms() || [];
+    home.setSelectedItems([
+      ...selection.walls.map(i => walls[i]),
+      ...selection.rooms.map(i => rooms[i]),
+      ...OBJExporter.flattenFurniture(home.getFurniture() || [])
+        .filter(entry => selection.furniture.indexOf(entry.index) !== -1)
+        .map(entry => entry.piece)
+    ]);
+  }
+
+  /**
+   * Get the exporter state sent back by objExportWorker.js: the exported geometry, its objects and export issues
+   */
+  getWorkerState() {
+    return {
+      vertices: this.vertices,
+      normals: this.normals,
+      texCoords: this.texCoords,
+      faces: this.faces,
+      materials: this.materials,
+      textures: this.textures,
+      objects: this.objects,
+      objectParents: this.objectParents,
+      exportIssues: this.exportIssues,
+      precision: this.precision
+    };
+  }
+
+  /**
+   * Create ZIP file with OBJ, MTL, manifest, and textures
    */
-  async createZipFile(baseName, objContent, mtlContent) {
+  async createZipFile(baseName, objContent, mtlContent, manifest = null) {
     const zip = new JSZip();
     
     // Add OBJ file
@@ -1745,6 +3742,11 @@ class OBJExporter {
     
     // Add MTL file
     zip.file(`materials.mtl`, mtlContent);
+
+    // Add manifest (object names and device -> object mapping)
+    if (manifest) {
+      zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+    }
     
     // Add texture files (FLATTENED - ROOT LEVEL)
     for (const [name, imageData] of this.textures) {
@@ -1797,6 +3799,16 @@ class OBJExporter {
     this.materials = new Map();
     this.textures = new Map();
     this.currentMaterial = null;
+    this.currentGroup = null;
+    this.currentObject = null;
+    this.objects = []; // Exported objects, for the manifest
+    this.coordinateTransform = null; // Transform of exported coordinates (see getCoordinateTransform)
+    this.objectStart = null;
+    this.currentParents = []; // Furniture groups enclosing the current object, outermost first
+    this.objectParents = new Map(); // Object name -> names of its enclosing groups
+    this.lastYieldTime = 0; // Last time an export gave the page a chance to handle events
+    this.triangleBudget = 0; // Max triangles per furniture model, 0 = no decimation
+    this.exportIssues = { boxes: [], missingTextures: [] }; // Problems met during the export (see getExportIssues)
     this.vertexIndex = 1;
     this.normalIndex = 1;
     this.texCoordIndex = 1;
@@ -1878,6 +3890,9 @@ class OBJExporter {
 
     } catch (error) {
       console.warn(`⚠️ Failed to fetch texture from ${url}:`, error.message);
+      if (!this.exportIssues.missingTextures.some(texture => texture.url === url)) {
+        this.exportIssues.missingTextures.push({ url, error: error.message });
+      }
       throw error;
     }
   }
@@ -2059,6 +4074,11 @@ class OBJExporter {
   }
 }
 
+// URL of the worker exporting geometry and building OBJ, ZIP and GLB files, next to this script
+OBJExporter.workerURL = typeof document !== 'undefined' && document.currentScript && document.currentScript.src
+  ? new URL('objExportWorker.js', document.currentScript.src).href
+  : null;
+
 // Export for use in browser and Node.js
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = OBJExporter;
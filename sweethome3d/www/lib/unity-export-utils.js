@@ -5,24 +5,47 @@
 
 class UnityExportUtilities {
   /**
-   * Complete export for Unity: OBJ geometry + device metadata + textures
+   * Complete export for Unity: geometry (OBJ ZIP or GLB) + device metadata + textures
+   * @param {Object} options - Geometry export options forwarded to the exporter (e.g. level, unit, onProgress, signal);
+   *                           level, includeInvisible and selectedOnly also select the exported devices, rooms and walls
+   * @param {string} options.format - 'obj' (default) for <baseName>_geometry.zip, 'glb' for <baseName>_geometry.glb
+   * @param {string} options.origin - Origin shared by the geometry and device coordinates (see OBJExporter.getCoordinateOrigin)
+   * @param {string} options.unit - Unit shared by the geometry and device coordinates: 'm' (default) or 'cm' (OBJ only)
+   * @param {string} options.handedness - Axes shared by the geometry and device coordinates: 'right' (default) or 'left' (OBJ only)
    */
-  static async exportForUnity(home, component3D, baseName = 'smart-home') {
+  static async exportForUnity(home, component3D, baseName = 'smart-home', options = {}) {
     try {
       console.log('Starting complete Unity export...');
       
-      // 1. Export 3D geometry to OBJ
-      const objExporter = new OBJExporter();
-      const geometryResult = await objExporter.exportToOBJ(
-        home, 
-        component3D, 
-        `${baseName}_geometry.zip`
-      );
+      // 1. One coordinate transform for geometry and devices, described in both outputs
+      // 2. Extract device metadata, so the geometry export can map devices to their objects,
+      //    and check it against the _devices.json schema before any file is saved
+      const { coordinateTransform, deviceData } = await this.buildDeviceData(home, options);
+      const geometryOptions = { ...options, coordinateTransform, devices: deviceData.devices };
+
+      // 3. Export 3D geometry to OBJ or GLB
+      let geometryResult;
+      if (options.format === 'glb') {
+        const gltfExporter = new GLTFExporter();
+        geometryResult = await gltfExporter.exportToGLB(
+          home,
+          component3D,
+          `${baseName}_geometry.glb`,
+          geometryOptions
+        );
+      } else {
+        const objExporter = new OBJExporter();
+        geometryResult = await objExporter.exportToOBJ(
+          home, 
+          component3D, 
+          `${baseName}_geometry.zip`,
+          geometryOptions
+        );
+      }
       
       console.log('Geometry exported:', geometryResult);
       
-      // 2. Export device metadata to JSON
-      const deviceData = this.extractDeviceMetadata(home);
+      // 4. Export device metadata to JSON
       const deviceBlob = new Blob(
         [JSON.stringify(deviceData, null, 2)], 
         {type: 'application/json'}
@@ -31,51 +54,313 @@ class UnityExportUtilities {
       
       console.log('Device metadata exported:', deviceData.devices.length, 'devices');
       
-      // 3. Export Unity import script
+      // 5. Export Unity import script
       const unityScript = this.generateUnityImportScript(baseName, deviceData);
       const scriptBlob = new Blob([unityScript], {type: 'text/plain'});
       this.downloadBlob(scriptBlob, `${baseName}_Import.cs`);
       
       console.log('Unity import script generated');
       
+      // 6. Export validation report
+      const report = this.buildValidationReport(home, deviceData, geometryResult.issues, options);
+      const reportBlob = new Blob(
+        [JSON.stringify(report, null, 2)],
+        {type: 'application/json'}
+      );
+      this.downloadBlob(reportBlob, `${baseName}_report.json`);
+      
       return {
         success: true,
         geometry: geometryResult,
         devices: deviceData.devices.length,
-        rooms: deviceData.rooms.length
+        rooms: deviceData.rooms.length,
+        report: report
       };
       
     } catch (error) {
-      console.error('Unity export error:', error);
+      if (error.name !== 'AbortError') {
+        console.error('Unity export error:', error);
+      }
       throw error;
     }
   }
   
-    /**
+  /**
+   * Build the _devices.json data of exportForUnity, in the coordinates of its geometry
+   * @param {Object} options - Export options (see exportForUnity); options.coordinateTransform replaces
+   *                           origin, unit and handedness (see getStoredCoordinateTransform)
+   * @returns {Promise<Object>} - {coordinateTransform, deviceData}
+   * @throws {Error} - When the device data doesn't match the _devices.json schema
+   */
+  static async buildDeviceData(home, options = {}) {
+    // GLB files are always in meters and right-handed
+    const coordinateTransform = options.coordinateTransform || OBJExporter.getCoordinateTransform(home,
+      options.format === 'glb' ? { ...options, unit: 'm', handedness: 'right' } : options, 'm');
+    const deviceData = this.extractDeviceMetadata(home, { ...options, coordinateTransform });
+    await DevicesSchema.load();
+    const schemaErrors = DevicesSchema.validate(deviceData);
+    if (schemaErrors.length > 0) {
+      throw new Error(`Device data doesn't match the _devices.json schema ${DevicesSchema.VERSION}: `
+        + schemaErrors.slice(0, 5).join('; ') + (schemaErrors.length > 5 ? ` (${schemaErrors.length} errors)` : ''));
+    }
+    return { coordinateTransform, deviceData };
+  }
+
+  /**
+   * Get the coordinate transform described in the coordinateSystem of a stored _devices.json,
+   * to build new device data in the coordinates of the stored geometry
+   * @param {Object|null} deviceData - Stored device data, migrated to the current version
+   * @returns {Object|null} - Transform (see OBJExporter.createCoordinateTransform), or null without coordinate system
+   */
+  static getStoredCoordinateTransform(deviceData) {
+    const coordinateSystem = deviceData ? deviceData.coordinateSystem : null;
+    if (!coordinateSystem || !coordinateSystem.origin) {
+      return null;
+    }
+    const origin = coordinateSystem.origin;
+    return OBJExporter.createCoordinateTransform(
+      coordinateSystem.unit === 'centimeters' ? 'cm' : 'm',
+      coordinateSystem.handedness === 'left' ? 'left' : 'right',
+      { type: origin.type, name: origin.name !== undefined ? origin.name : null, x: origin.planX, y: origin.planY });
+  }
+
+  /**
+   * Compare the devices of a stored _devices.json to new ones, to update only the changed devices.
+   * Devices are matched by objectName (the id of their piece), or by id when they have none,
+   * as device ids follow the furniture order.
+   * @param {Object|null} previous - Stored device data, migrated to the current version, or null
+   * @param {Object} current - New device data (see buildDeviceData)
+   * @returns {Object} - {added, removed, moved, relinked, changed, unchanged, coordinateSystemChanged}:
+   *                     added and removed devices, moved and relinked ones as {device, previous},
+   *                     changed the added, moved and relinked devices (once each), unchanged their count
+   */
+  static diffDevices(previous, current) {
+    const keyOf = device => device.objectName || device.id;
+    const previousDevices = new Map(((previous && previous.devices) || []).map(device => [keyOf(device), device]));
+    const coordinateSystem = current.coordinateSystem || {};
+    // Moves under 1 cm or 0.5° are rounding, coordinates being in 'centimeters' or 'meters'
+    const tolerance = coordinateSystem.unit === 'centimeters' ? 1 : 0.01;
+    const diff = { added: [], removed: [], moved: [], relinked: [], changed: [], unchanged: 0 };
+
+    for (const device of current.devices) {
+      const before = previousDevices.get(keyOf(device));
+      previousDevices.delete(keyOf(device));
+      if (!before) {
+        diff.added.push(device);
+        diff.changed.push(device);
+        continue;
+      }
+      const position = device.position, previousPosition = before.position || {};
+      const moved = Math.hypot(position.x - previousPosition.x, position.y - previousPosition.y,
+        position.z - previousPosition.z) > tolerance || isNaN(previousPosition.x)
+        || Math.abs(((device.rotation || {}).y || 0) - ((before.rotation || {}).y || 0)) > 0.5
+        || device.level !== before.level;
+      const relinked = (device.haEntityId || null) !== (before.haEntityId || null)
+        || (device.controlsEntityId || null) !== (before.controlsEntityId || null);
+      if (moved) {
+        diff.moved.push({ device, previous: before });
+      }
+      if (relinked) {
+        diff.relinked.push({ device, previous: before });
+      }
+      if (moved || relinked) {
+        diff.changed.push(device);
+      } else {
+        diff.unchanged++;
+      }
+    }
+    diff.removed = Array.from(previousDevices.values());
+    // Devices of another origin, unit or handedness all move
+    diff.coordinateSystemChanged = !!previous
+      && JSON.stringify(previous.coordinateSystem || null) !== JSON.stringify(current.coordinateSystem || null);
+    return diff;
+  }
+
+  /**
    * Export both to PHP server (for HA storage) and download locally
+   * @param {Object} options - Geometry export options (see OBJExporter.exportToOBJ)
+   * @returns {Promise<Object>} - Response of exportForUnity.php, with the saved file paths
    */
-  static async exportToServerAndDownload(home, component3D, baseName) {
+  static async exportToServerAndDownload(home, component3D, baseName, options = {}) {
     // 1. Export geometry with my exporter
     const objExporter = new OBJExporter();
-    await objExporter.exportToOBJ(home, component3D, `${baseName}.zip`);
-    
-    // 2. Also send to PHP server
-    const objContent = objExporter.buildOBJContent();
-    const mtlContent = objExporter.buildMTLContent();
-    const homeData = this.serializeHome(home);
-    
-    const response = await fetch('exportForUnity.php', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: new URLSearchParams({
-        home_name: baseName,
-        home_data: JSON.stringify(homeData),
-        obj_data: objContent,
-        mtl_data: mtlContent
-      })
-    });
+    await objExporter.exportToOBJ(home, component3D, `${baseName}.zip`, options);
     
-    return await response.json();
+    // 2. Also send to PHP server, the OBJ file referring to the MTL file saved next to it,
+    //    and the MTL file to the textures saved in <baseName>_textures/
+    const objContent = `mtllib ${baseName}_model.mtl\n\n` + objExporter.buildOBJContent();
+    return this.uploadHome(home, baseName, {
+      obj: new Blob([objContent], { type: 'text/plain' }),
+      mtl: new Blob([objExporter.buildMTLContent(`${baseName}_textures/`)], { type: 'text/plain' }),
+      textures: Array.from(objExporter.textures, ([name, data]) => ({ name, blob: new Blob([data]) }))
+    }, options.signal);
+  }
+
+  /**
+   * Save the serialized home (see serializeHome) as <baseName>_home.json in the data directory,
+   * with the OBJ and MTL files of its model if given, posted as a multipart form to exportForUnity.php
+   * @param {Object} model - OBJ and MTL blobs saved as <baseName>_model.obj and .mtl, if any, and the textures
+   *                         of the MTL file as [{name, blob}], saved in <baseName>_textures/
+   * @returns {Promise<Object>} - Response of exportForUnity.php, with the saved file paths
+   * @throws {Error} - When the server fails, with its error message or response text
+   */
+  static async uploadHome(home, baseName, model = {}, signal = undefined) {
+    const form = new FormData();
+    form.append('home_name', baseName);
+    form.append('home_data', JSON.stringify(this.serializeHome(home)));
+    if (model.obj) {
+      form.append('obj_file', model.obj, `${baseName}_model.obj`);
+      if (model.mtl) {
+        form.append('mtl_file', model.mtl, `${baseName}_model.mtl`);
+        for (const texture of model.textures || []) {
+          form.append('texture_files[]', texture.blob, texture.name);
+        }
+      }
+    }
+
+    const response = await fetch('exportForUnity.php', { method: 'POST', body: form, signal });
+    if (!response.ok) {
+      // PHP errors may come as HTML pages
+      const text = await response.text();
+      let error = null;
+      try {
+        error = JSON.parse(text).error;
+      } catch (e) { /* Not JSON, ok */ }
+      throw new Error(`Server export failed: ${error || text.replace(/<[^>]*>/g, '').trim().slice(0, 200) || `HTTP ${response.status}`}`);
+    }
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(`Server export failed: ${result.error || 'unknown error'}`);
+    }
+    return result;
+  }
+
+  /**
+   * Serialize a home to plain data for the server (see exportForUnity.php): levels, walls, rooms,
+   * doors and windows (openings), other furniture with all their custom properties, and cameras.
+   * Coordinates and sizes are in plan cm, angles in radians as in SweetHome3D. Items are identified
+   * by their object name in exported geometry, and refer to their level by id.
+   */
+  static serializeHome(home) {
+    const list = (items) => items || [];
+    const homeLevels = list(home.getLevels ? home.getLevels() : null);
+    const levelIds = new Map(homeLevels.map((level, i) => [level, OBJExporter.getObjectName(level, 'level', i)]));
+    const levelOf = (item) => levelIds.get(item.getLevel ? item.getLevel() : null) || null;
+    const defaultWallHeight = home.getWallHeight ? home.getWallHeight() : 250;
+
+    const levels = homeLevels.map(level => ({
+      id: levelIds.get(level),
+      name: level.getName ? level.getName() : null,
+      elevation: level.getElevation(),
+      height: level.getHeight(),
+      floorThickness: level.getFloorThickness(),
+      viewable: level.isViewable ? level.isViewable() : true
+    }));
+
+    const walls = list(home.getWalls ? home.getWalls() : null).map((wall, i) => {
+      // Walls using the home default height store null
+      const height = wall.getHeight && wall.getHeight() !== null ? wall.getHeight() : defaultWallHeight;
+      const heightAtEnd = wall.getHeightAtEnd ? wall.getHeightAtEnd() : null;
+      return {
+        id: OBJExporter.getObjectName(wall, 'wall', i),
+        level: levelOf(wall),
+        start: { x: wall.getXStart(), y: wall.getYStart() },
+        end: { x: wall.getXEnd(), y: wall.getYEnd() },
+        thickness: wall.getThickness ? wall.getThickness() : 10,
+        height: height,
+        heightAtEnd: heightAtEnd !== null && heightAtEnd !== undefined ? heightAtEnd : height,
+        arcExtent: wall.getArcExtent ? wall.getArcExtent() : null
+      };
+    });
+
+    const rooms = list(home.getRooms ? home.getRooms() : null).map((room, i) => ({
+      id: OBJExporter.getObjectName(room, 'room', i),
+      name: room.getName ? room.getName() : null,
+      level: levelOf(room),
+      points: room.getPoints().map(point => [point[0], point[1]]),
+      area: room.getArea ? room.getArea() : null, // cm²
+      floorVisible: room.isFloorVisible ? room.isFloorVisible() : true,
+      ceilingVisible: room.isCeilingVisible ? room.isCeilingVisible() : true
+    }));
+
+    // Pieces of furniture groups are listed with the ids of their groups, outermost first
+    const openings = [];
+    const furniture = [];
+    for (const entry of OBJExporter.flattenFurniture(list(home.getFurniture ? home.getFurniture() : null))) {
+      if (entry.isGroup) {
+        continue;
+      }
+      const piece = entry.piece;
+      const properties = {};
+      for (const name of list(piece.getPropertyNames ? piece.getPropertyNames() : null)) {
+        properties[name] = piece.getProperty(name);
+      }
+      const deviceType = DeviceTypeRegistry.resolve(piece);
+      const pieceData = {
+        id: OBJExporter.getObjectName(piece, 'furniture', entry.index),
+        name: piece.getName ? piece.getName() : null,
+        catalogId: DeviceTypeRegistry.getCatalogId(piece),
+        level: levelOf(piece),
+        groups: entry.parents.map(group => OBJExporter.getObjectName(group.piece, 'group', group.index)),
+        x: piece.getX(),
+        y: piece.getY(),
+        elevation: piece.getElevation ? piece.getElevation() : 0,
+        angle: piece.getAngle ? piece.getAngle() : 0,
+        width: piece.getWidth(),
+        depth: piece.getDepth(),
+        height: piece.getHeight(),
+        modelMirrored: piece.isModelMirrored ? piece.isModelMirrored() : false,
+        visible: piece.isVisible ? piece.isVisible() : true,
+        color: piece.getColor && piece.getColor() !== null ? this.toHexColor(piece.getColor()) : null,
+        deviceType: deviceType ? deviceType.id : null,
+        properties: properties
+      };
+      if (piece.isDoorOrWindow && piece.isDoorOrWindow()) {
+        openings.push({
+          ...pieceData,
+          type: this.isDoorway(piece) ? 'door' : 'window',
+          boundToWall: piece.isBoundToWall ? piece.isBoundToWall() : false,
+          wallWidth: piece.getWallWidth ? piece.getWallWidth() : 1 // Part of the width opened in walls
+        });
+      } else {
+        furniture.push(pieceData);
+      }
+    }
+
+    // Observer (virtual visitor) and top (aerial view) cameras, then the stored points of view
+    const cameraOf = (camera, type) => ({
+      type: type,
+      name: camera.getName ? camera.getName() : null,
+      x: camera.getX(),
+      y: camera.getY(),
+      z: camera.getZ(),
+      yaw: camera.getYaw(),
+      pitch: camera.getPitch(),
+      fieldOfView: camera.getFieldOfView() // Horizontal
+    });
+    const cameras = [];
+    if (home.getObserverCamera && home.getObserverCamera()) {
+      cameras.push(cameraOf(home.getObserverCamera(), 'observer'));
+    }
+    if (home.getTopCamera && home.getTopCamera()) {
+      cameras.push(cameraOf(home.getTopCamera(), 'top'));
+    }
+    for (const camera of list(home.getStoredCameras ? home.getStoredCameras() : null)) {
+      cameras.push(cameraOf(camera, 'stored'));
+    }
+
+    return {
+      name: home.getName ? home.getName() : null,
+      exportedAt: new Date().toISOString(),
+      unit: 'cm',
+      wallHeight: defaultWallHeight,
+      levels: levels,
+      walls: walls,
+      rooms: rooms,
+      openings: openings,
+      furniture: furniture,
+      cameras: cameras
+    };
   }
 
   /**
@@ -89,92 +374,99 @@ class UnityExportUtilities {
    * 
    * The Unity import script expects only IoT devices, but you can modify
    * it to handle all furniture if needed.
+   *
+   * @param {Object} options - Export options selecting devices, rooms and walls like the geometry export
+   *                           (level, includeInvisible, selectedOnly; see OBJExporter.exportToOBJ), and either
+   *                           coordinateTransform or origin, unit ('m' by default) and handedness of coordinates
    */
-  static extractDeviceMetadata(home) {
+  static extractDeviceMetadata(home, options = {}) {
     const devices = [];
     const rooms = [];
     const walls = [];
+    const lights = [];
+    // Ids of the devices exported for the pieces, so that lights can refer to them
+    const deviceIds = new Map();
+    const transform = options.coordinateTransform || OBJExporter.getCoordinateTransform(home, options, 'm');
+    // Devices are never decorative furniture
+    const filter = OBJExporter.getExportFilter(home, { ...options, includeDecorative: true });
     
-    // Extract IoT devices from furniture (filtered)
+    // Extract IoT devices from furniture (filtered), including the pieces of furniture groups
     if (home.getFurniture) {
-      const furniture = home.getFurniture();
+      const furniture = OBJExporter.flattenFurniture(home.getFurniture());
       let deviceIndex = 0;
       
-      for (let i = 0; i < furniture.length; i++) {
-        const piece = furniture[i];
-        const catalogId = piece.getCatalogId ? piece.getCatalogId() : '';
+      for (const entry of furniture) {
+        if (entry.isGroup || !filter.acceptsFurniture(entry)) {
+          continue;
+        }
+        const piece = entry.piece;
+        const catalogId = DeviceTypeRegistry.getCatalogId(piece);
         
-        // Check if it's an IoT device (customize detection logic)
-        const isDevice = this.isIoTDevice(catalogId, piece);
+        // Check if it's an IoT device (see DeviceTypeRegistry)
+        const deviceType = DeviceTypeRegistry.resolve(piece);
+        const isDevice = deviceType !== null;
+        if (isDevice) {
+          deviceIds.set(piece, `device_${deviceIndex}`);
+        }
+        if (this.isLight(piece)) {
+          lights.push(this.extractLight(piece, entry, `light_${lights.length}`, transform, deviceIds.get(piece) || null));
+        }
         
         // FILTER: Only add IoT devices to the export
         if (isDevice) {
           // Get Home Assistant entity ID if present
-          let haEntityId = null;
-          try {
-            if (typeof piece.getProperty === 'function') {
-              haEntityId = piece.getProperty('haEntityId');
-            }
-          } catch (e) {
-            // Property doesn't exist, that's ok
-          }
+          const haEntityId = DeviceProperties.get(piece, 'haEntityId');
           
           const deviceData = {
             id: `device_${deviceIndex}`,
             name: piece.getName ? piece.getName() : `Device ${deviceIndex}`,
-            type: this.getDeviceType(catalogId, piece),
+            type: deviceType.id,
             catalogId: catalogId,
-            position: {
-              x: (piece.getX ? piece.getX() : 0) * 0.01, // cm to meters
-              y: (piece.getElevation ? piece.getElevation() : 0) * 0.01,
-              z: (piece.getY ? piece.getY() : 0) * 0.01
-            },
+            objectName: OBJExporter.getObjectName(piece, 'furniture', entry.index), // Object name in the exported geometry
+            level: this.getLevelName(piece),
+            // Ground elevation includes level elevation
+            position: transform.point(piece.getX ? piece.getX() : 0, piece.getY ? piece.getY() : 0, this.getGroundElevation(piece)),
             rotation: {
-              y: piece.getAngle ? piece.getAngle() * (180 / Math.PI) : 0 // radians to degrees
+              y: piece.getAngle ? transform.rotation(piece.getAngle()) : 0 // radians to degrees
             },
             isIoTDevice: true, // Always true since we filtered
             dimensions: {
-              width: (piece.getWidth ? piece.getWidth() : 0) * 0.01,
-              height: (piece.getHeight ? piece.getHeight() : 0) * 0.01,
-              depth: (piece.getDepth ? piece.getDepth() : 0) * 0.01
+              width: transform.length(piece.getWidth ? piece.getWidth() : 0),
+              height: transform.length(piece.getHeight ? piece.getHeight() : 0),
+              depth: transform.length(piece.getDepth ? piece.getDepth() : 0)
             }
           };
           
+          // Add the furniture groups enclosing the device, outermost first
+          if (entry.parents.length > 0) {
+            deviceData.groups = entry.parents.map(group => ({
+              name: group.piece.getName ? group.piece.getName() : null,
+              objectName: OBJExporter.getObjectName(group.piece, 'group', group.index)
+            }));
+          }
+          
           // Add Home Assistant entity ID if present
-          if (haEntityId && haEntityId.length > 0) {
+          if (haEntityId.length > 0) {
             deviceData.haEntityId = haEntityId;
             console.log(`✅ Device "${deviceData.name}" has entity ID: ${haEntityId}`);
           }
           
           // Add controlsEntityId for switches (which light entity this switch controls)
-          let controlsEntityId = null;
-          try {
-            if (typeof piece.getProperty === 'function') {
-              controlsEntityId = piece.getProperty('controlsEntityId');
-            }
-          } catch (e) { /* Property doesn't exist, ok */ }
-
-          if (controlsEntityId && controlsEntityId.length > 0) {
+          const controlsEntityId = DeviceProperties.get(piece, 'controlsEntityId');
+          if (controlsEntityId.length > 0) {
             deviceData.controlsEntityId = controlsEntityId;
             console.log(`🔗 Switch "${deviceData.name}" controls: ${controlsEntityId}`);
           }
 
-          // Add switch type (regular or pressure)
-          let switchType = null;
-          try {
-            if (typeof piece.getProperty === 'function') {
-              switchType = piece.getProperty('switchType');
-            }
-          } catch (e) { /* ok */ }
-
-          if (switchType) {
-            deviceData.switchType = switchType; // "fixed" or "pressure"
+          // Add switch type (regular or pressure) of devices edited as switches
+          if (deviceType.editors.includes('switchType')) {
+            deviceData.switchType = DeviceProperties.get(piece, 'switchType'); // "fixed" or "pressure"
           }
           
           // Add effect radius and propagation area for Unity particle systems
-          const effectData = this.extractEffectPropagation(piece, home);
+          const effectData = this.extractEffectPropagation(piece, home, transform, deviceType);
           if (effectData) {
-            deviceData.effectRadius = effectData.radius;
+            deviceData.effectRadius = transform.length(effectData.radius * 100); // meters to output unit
             deviceData.propagationType = effectData.type;
             deviceData.affectedArea = effectData.area;
             // Note: particleSettings removed - Unity should configure rendering based on device type
@@ -192,21 +484,27 @@ class UnityExportUtilities {
       const homeRooms = home.getRooms();
       for (let i = 0; i < homeRooms.length; i++) {
         const room = homeRooms[i];
+        if (!filter.acceptsItem(room)) {
+          continue;
+        }
         const points = room.getPoints ? room.getPoints() : [];
         
-        // Convert points to Unity coordinates (cm to m)
-        const unityPoints = points.map(p => ({
-          x: p[0] * 0.01,
-          z: p[1] * 0.01
-        }));
+        // Convert points to Unity coordinates
+        const unityPoints = points.map(p => {
+          const point = transform.point(p[0], p[1]);
+          return { x: point.x, z: point.z };
+        });
         
         rooms.push({
           id: `room_${i}`,
           name: room.getName ? room.getName() : `Room ${i}`,
           points: unityPoints,
-          area: (room.getArea ? room.getArea() : 0) * 0.0001, // cm² to m²
-          floorLevel: 0,
-          ceilingHeight: 2.5 // Default ceiling height in meters
+          area: transform.length(transform.length(room.getArea ? room.getArea() : 0)), // cm² to output unit
+          level: this.getLevelName(room),
+          floorLevel: transform.length(this.getLevelElevation(room)),
+          ceilingHeight: transform.length(this.getRoomCeilingHeight(home, room, points)), // Above floorLevel
+          floorVisible: room.isFloorVisible ? room.isFloorVisible() : true,
+          ceilingVisible: room.isCeilingVisible ? room.isCeilingVisible() : true
         });
       }
     }
@@ -216,140 +514,440 @@ class UnityExportUtilities {
       const homeWalls = home.getWalls();
       for (let i = 0; i < homeWalls.length; i++) {
         const wall = homeWalls[i];
+        if (!filter.acceptsItem(wall)) {
+          continue;
+        }
+        // Walls using the home default height store null
+        const wallHeight = wall.getHeight && wall.getHeight() !== null
+          ? wall.getHeight()
+          : (home.getWallHeight ? home.getWallHeight() : 250);
+        const heightAtEnd = wall.getHeightAtEnd ? wall.getHeightAtEnd() : null;
+        const arcExtent = wall.getArcExtent ? wall.getArcExtent() : null;
+        const start = transform.point(wall.getXStart ? wall.getXStart() : 0, wall.getYStart ? wall.getYStart() : 0);
+        const end = transform.point(wall.getXEnd ? wall.getXEnd() : 0, wall.getYEnd ? wall.getYEnd() : 0);
         
         walls.push({
           id: `wall_${i}`,
-          start: {
-            x: (wall.getXStart ? wall.getXStart() : 0) * 0.01,
-            z: (wall.getYStart ? wall.getYStart() : 0) * 0.01
-          },
-          end: {
-            x: (wall.getXEnd ? wall.getXEnd() : 0) * 0.01,
-            z: (wall.getYEnd ? wall.getYEnd() : 0) * 0.01
-          },
-          height: (wall.getHeight ? wall.getHeight() : 250) * 0.01,
-          thickness: (wall.getThickness ? wall.getThickness() : 10) * 0.01
+          level: this.getLevelName(wall),
+          elevation: transform.length(this.getLevelElevation(wall)),
+          start: { x: start.x, z: start.z },
+          end: { x: end.x, z: end.z },
+          height: transform.length(wallHeight),
+          heightAtEnd: transform.length(heightAtEnd !== null && heightAtEnd !== undefined ? heightAtEnd : wallHeight),
+          // Mirrored axes turn arcs the other way
+          arcExtent: arcExtent !== null && arcExtent !== undefined ? arcExtent * transform.zSign : null,
+          thickness: transform.length(wall.getThickness ? wall.getThickness() : 10)
         });
       }
     }
     
+    // Connect the exported rooms through the doors and windows between them
+    const roomConnections = this.extractRoomConnections(home, filter, transform);
+    
+    // Extract stored camera viewpoints
+    const viewpoints = this.extractViewpoints(home, transform);
+    
     return {
-      version: '1.0',
+      version: DevicesSchema.VERSION, // Format of _devices.json (see devices-schema.js)
       exportedAt: new Date().toISOString(),
-      unitsystem: 'meters',
-      coordinateSystem: {
-        origin: 'center',
-        yAxis: 'up',
-        zAxis: 'forward'
-      },
+      unitsystem: transform.unit === 'm' ? 'meters' : 'centimeters',
+      coordinateSystem: transform.toJSON(),
       devices: devices,
       rooms: rooms,
+      roomConnections: roomConnections,
       walls: walls,
+      lights: lights,
+      viewpoints: viewpoints,
+      environment: this.extractEnvironment(home, transform),
       metadata: {
         deviceCount: devices.filter(d => d.isIoTDevice).length,
         roomCount: rooms.length,
-        wallCount: walls.length
+        roomConnectionCount: roomConnections.length,
+        wallCount: walls.length,
+        lightCount: lights.length,
+        viewpointCount: viewpoints.length
+      }
+    };
+  }
+  
+  /**
+   * Check if a furniture piece is a SweetHome3D light (HomeLight)
+   */
+  static isLight(piece) {
+    return typeof piece.getPower === 'function' && typeof piece.getLightSources === 'function';
+  }
+  
+  /**
+   * Extract a light piece with its light sources, placed like SweetHome3D's photo renderer does
+   * @param {Object} entry - Flattened furniture entry of the light (see OBJExporter.flattenFurniture)
+   * @param {string} deviceId - Id of the device exported for the same piece, or null
+   */
+  static extractLight(piece, entry, id, transform, deviceId) {
+    const width = piece.getWidth ? piece.getWidth() : 0;
+    const depth = piece.getDepth ? piece.getDepth() : 0;
+    const height = piece.getHeight ? piece.getHeight() : 0;
+    const angle = piece.getAngle ? piece.getAngle() : 0;
+    const mirrored = piece.isModelMirrored ? piece.isModelMirrored() : false;
+    const elevation = this.getGroundElevation(piece);
+    
+    // Light source coordinates are ratios of the piece size, y going from back to front
+    const sources = (piece.getLightSources() || []).map(source => {
+      const xInPiece = (mirrored ? -1 : 1) * (source.getX() - 0.5) * width;
+      const yInPiece = depth / 2 - source.getY() * depth;
+      return {
+        position: transform.point(
+          piece.getX() + xInPiece * Math.cos(angle) - yInPiece * Math.sin(angle),
+          piece.getY() + xInPiece * Math.sin(angle) + yInPiece * Math.cos(angle),
+          elevation + source.getZ() * height),
+        color: this.toHexColor(source.getColor()),
+        diameter: transform.length(source.getDiameter ? source.getDiameter() || 0 : 0)
+      };
+    });
+    
+    const haEntityId = DeviceProperties.get(piece, 'haEntityId');
+    
+    return {
+      id: id,
+      name: piece.getName ? piece.getName() : id,
+      objectName: OBJExporter.getObjectName(piece, 'furniture', entry.index),
+      level: this.getLevelName(piece),
+      deviceId: deviceId,
+      haEntityId: haEntityId || null,
+      position: transform.point(piece.getX(), piece.getY(), elevation + height / 2),
+      power: piece.getPower(), // 0 to 1, 0.5 being the default power in SweetHome3D
+      color: sources.length > 0 ? sources[0].color : '#ffffff',
+      sources: sources
+    };
+  }
+  
+  /**
+   * Build the room adjacency graph: the exported rooms (room_<i> ids, as in rooms) connected by
+   * the doors and windows between them. Rooms on both sides of an opening are searched along its
+   * front direction, at its level; openings leading outside connect a room to null.
+   * @returns {Array} - Connections {rooms: [roomId, roomId|null], openings: [{name, objectName, type, width}], width}
+   */
+  static extractRoomConnections(home, filter, transform) {
+    const homeRooms = (home.getRooms ? home.getRooms() : null) || [];
+    const roomIds = new Map();
+    homeRooms.forEach((room, i) => {
+      if (filter.acceptsItem(room)) {
+        roomIds.set(room, `room_${i}`);
       }
+    });
+    const findRoom = (x, y, level) => {
+      for (const [room, id] of roomIds) {
+        if ((room.getLevel ? room.getLevel() : null) === level && this.isPointInRoom(x, y, room)) {
+          return id;
+        }
+      }
+      return null;
     };
+
+    const connections = new Map(); // "room_a|room_b" -> connection
+    for (const entry of OBJExporter.flattenFurniture((home.getFurniture ? home.getFurniture() : null) || [])) {
+      const piece = entry.piece;
+      if (entry.isGroup || !piece.isDoorOrWindow || !piece.isDoorOrWindow()
+          || (piece.isVisible && !piece.isVisible()) || !filter.acceptsFurniture(entry)) {
+        continue;
+      }
+
+      // Probe each side of the opening, a little further than its depth to cross the wall
+      const x = piece.getX(), y = piece.getY();
+      const angle = piece.getAngle ? piece.getAngle() : 0;
+      const dx = -Math.sin(angle), dy = Math.cos(angle);
+      const level = piece.getLevel ? piece.getLevel() : null;
+      const sides = [1, -1].map(side => {
+        for (const distance of [5, 25, 50]) {
+          const reach = side * (piece.getDepth() / 2 + distance);
+          const roomId = findRoom(x + dx * reach, y + dy * reach, level);
+          if (roomId) {
+            return roomId;
+          }
+        }
+        return null;
+      });
+      if (sides[0] === sides[1]) {
+        continue;
+      }
+
+      // Rooms ordered by index, the outside last
+      const roomPair = sides.sort((a, b) => a === null ? 1 : b === null ? -1
+        : parseInt(a.split('_')[1]) - parseInt(b.split('_')[1]));
+      const key = roomPair.join('|');
+      if (!connections.has(key)) {
+        connections.set(key, { rooms: roomPair, openings: [], width: 0 });
+      }
+      // Doors and windows may open only part of their width in walls
+      const wallWidth = piece.getWallWidth ? piece.getWallWidth() : 1;
+      const width = transform.length(piece.getWidth() * wallWidth);
+      const connection = connections.get(key);
+      connection.openings.push({
+        name: piece.getName ? piece.getName() : null,
+        objectName: OBJExporter.getObjectName(piece, 'furniture', entry.index),
+        type: this.isDoorway(piece) ? 'door' : 'window',
+        width: width
+      });
+      connection.width += width;
+    }
+    return Array.from(connections.values());
+  }
+
+  /**
+   * Check if a door or window stands on the floor of its level, letting people and effects through
+   */
+  static isDoorway(piece) {
+    const maxElevation = 10; // cm above the floor
+    return (piece.getElevation ? piece.getElevation() : 0) <= maxElevation;
+  }
+
+  /**
+   * Extract the cameras stored in the home, as named viewpoints
+   * Angles are in degrees: yaw around the vertical axis like device rotations, pitch positive looking down.
+   */
+  static extractViewpoints(home, transform) {
+    const cameras = (home.getStoredCameras ? home.getStoredCameras() : null) || [];
+    return cameras.map((camera, i) => {
+      const yaw = camera.getYaw();
+      const pitch = camera.getPitch();
+      // SweetHome3D cameras look along (-sin(yaw), cos(yaw)) in the plan
+      const lookAtDistance = 100;
+      return {
+        id: `viewpoint_${i}`,
+        name: (camera.getName ? camera.getName() : null) || `Viewpoint ${i + 1}`,
+        position: transform.point(camera.getX(), camera.getY(), camera.getZ()),
+        lookAt: transform.point(
+          camera.getX() - Math.sin(yaw) * Math.cos(pitch) * lookAtDistance,
+          camera.getY() + Math.cos(yaw) * Math.cos(pitch) * lookAtDistance,
+          camera.getZ() - Math.sin(pitch) * lookAtDistance),
+        yaw: transform.rotation(yaw),
+        pitch: pitch * 180 / Math.PI,
+        fieldOfView: camera.getFieldOfView() * 180 / Math.PI // Horizontal
+      };
+    });
   }
   
   /**
-   * Check if a furniture piece is an IoT device
+   * Extract the home environment (ground, sky and light colors) and its compass, to orient sun lighting
+   * Colors default to SweetHome3D's ones; angles are in degrees.
    */
-  static isIoTDevice(catalogId, piece) {
-    const deviceKeywords = [
-      'sensor', 'temperature', 'humidity', 'motion', 'light',
-      'camera', 'thermostat', 'switch', 'dimmer', 'plug',
-      'speaker', 'display', 'monitor', 'detector'
-    ];
+  static extractEnvironment(home, transform) {
+    const environment = home.getEnvironment ? home.getEnvironment() : null;
+    const textureOf = (texture) => {
+      if (!texture) {
+        return null;
+      }
+      const image = texture.getImage ? texture.getImage() : null;
+      return {
+        name: texture.getName ? texture.getName() : null,
+        url: image && image.getURL ? image.getURL() : null,
+        // Size of the repeated image
+        width: transform.length(texture.getWidth ? texture.getWidth() : 0),
+        height: transform.length(texture.getHeight ? texture.getHeight() : 0)
+      };
+    };
     
-    const name = (piece.getName ? piece.getName() : '').toLowerCase();
+    const compass = home.getCompass ? home.getCompass() : null;
+    let compassData = null;
+    if (compass) {
+      const northDirection = compass.getNorthDirection();
+      const position = transform.point(compass.getX(), compass.getY());
+      // North points to -plan y when northDirection is 0, turning clockwise in the plan
+      const north = transform.point(Math.sin(northDirection), -Math.cos(northDirection));
+      const origin = transform.point(0, 0);
+      const northLength = Math.sqrt((north.x - origin.x) ** 2 + (north.z - origin.z) ** 2) || 1;
+      compassData = {
+        position: { x: position.x, z: position.z },
+        diameter: transform.length(compass.getDiameter ? compass.getDiameter() : 0),
+        northDirection: transform.rotation(northDirection),
+        north: { x: (north.x - origin.x) / northLength, y: 0, z: (north.z - origin.z) / northLength },
+        latitude: compass.getLatitude() * 180 / Math.PI,   // North positive
+        longitude: compass.getLongitude() * 180 / Math.PI, // East positive
+        timeZone: compass.getTimeZone ? compass.getTimeZone() : null
+      };
+    }
     
-    // Check name first (works even if catalogId is null)
-    const nameMatch = deviceKeywords.some(keyword => name.includes(keyword));
-    if (nameMatch) return true;
+    return {
+      groundColor: this.toHexColor(environment ? environment.getGroundColor() : 0xA8A8A8),
+      groundTexture: textureOf(environment && environment.getGroundTexture ? environment.getGroundTexture() : null),
+      skyColor: this.toHexColor(environment ? environment.getSkyColor() : 0xCCE4FC),
+      skyTexture: textureOf(environment && environment.getSkyTexture ? environment.getSkyTexture() : null),
+      lightColor: this.toHexColor(environment ? environment.getLightColor() : 0xD0D0D0),
+      compass: compassData
+    };
+  }
+  
+  /**
+   * Convert a SweetHome3D RGB integer color to #rrggbb
+   */
+  static toHexColor(color) {
+    return '#' + ((color || 0) & 0xFFFFFF).toString(16).padStart(6, '0');
+  }
+  
+  /**
+   * Build the validation report of an export: what the exported twin misses or gets wrong
+   * @param {Object} deviceData - Result of extractDeviceMetadata
+   * @param {Object} issues - Problems met by the geometry exporter (see OBJExporter.getExportIssues), or null
+   * @param {Object} options - Export options selecting walls (see extractDeviceMetadata)
+   * @returns {Object} - {exportedAt, home, summary, boxes, missingTextures, devicesWithoutEntity,
+   *                     devicesOutsideRooms, zeroLengthWalls}; summary counts each list
+   */
+  static buildValidationReport(home, deviceData, issues, options = {}) {
+    const devicesWithoutEntity = deviceData.devices
+      .filter(device => !device.haEntityId)
+      .map(device => ({ id: device.id, name: device.name, type: device.type, level: device.level }));
     
-    // Check catalogId if available
-    if (catalogId) {
-      const id = catalogId.toLowerCase();
-      return deviceKeywords.some(keyword => id.includes(keyword));
+    // Devices whose plan position is in no room of their level, found by their object name
+    const filter = OBJExporter.getExportFilter(home, { ...options, includeDecorative: true });
+    const homeRooms = (home.getRooms ? home.getRooms() : null) || [];
+    const pieces = new Map(OBJExporter.flattenFurniture((home.getFurniture ? home.getFurniture() : null) || [])
+      .filter(entry => !entry.isGroup)
+      .map(entry => [OBJExporter.getObjectName(entry.piece, 'furniture', entry.index), entry.piece]));
+    const devicesOutsideRooms = [];
+    for (const device of deviceData.devices) {
+      const piece = pieces.get(device.objectName);
+      if (!piece) {
+        continue;
+      }
+      const level = piece.getLevel ? piece.getLevel() : null;
+      const inRoom = homeRooms.some(room => (room.getLevel ? room.getLevel() : null) === level
+        && this.isPointInRoom(piece.getX(), piece.getY(), room));
+      if (!inRoom) {
+        devicesOutsideRooms.push({ id: device.id, name: device.name, type: device.type, level: device.level });
+      }
     }
     
-    return false;
+    const zeroLengthWalls = [];
+    ((home.getWalls ? home.getWalls() : null) || []).forEach((wall, i) => {
+      if (filter.acceptsItem(wall)
+          && Math.abs(wall.getXEnd() - wall.getXStart()) < 0.01 && Math.abs(wall.getYEnd() - wall.getYStart()) < 0.01) {
+        zeroLengthWalls.push({
+          objectName: OBJExporter.getObjectName(wall, 'wall', i),
+          level: this.getLevelName(wall),
+          x: wall.getXStart(),
+          y: wall.getYStart()
+        });
+      }
+    });
+    
+    const report = {
+      exportedAt: deviceData.exportedAt,
+      home: home.getName ? home.getName() : null,
+      boxes: issues ? issues.boxes : [],
+      missingTextures: issues ? issues.missingTextures : [],
+      devicesWithoutEntity: devicesWithoutEntity,
+      devicesOutsideRooms: devicesOutsideRooms,
+      zeroLengthWalls: zeroLengthWalls
+    };
+    report.summary = {
+      boxes: report.boxes.length,
+      missingTextures: report.missingTextures.length,
+      devicesWithoutEntity: devicesWithoutEntity.length,
+      devicesOutsideRooms: devicesOutsideRooms.length,
+      zeroLengthWalls: zeroLengthWalls.length
+    };
+    return report;
   }
   
+  /**
+   * Get the elevation of the level an item sits on, in cm (0 without levels)
+   */
+  static getLevelElevation(item) {
+    const level = item.getLevel ? item.getLevel() : null;
+    return level && level.getElevation ? level.getElevation() : 0;
+  }
+
+  /**
+   * Get the name of the level an item sits on (null without levels)
+   */
+  static getLevelName(item) {
+    const level = item.getLevel ? item.getLevel() : null;
+    return level && level.getName ? level.getName() : null;
+  }
+
+  /**
+   * Get the absolute elevation of a piece, in cm (level elevation + piece elevation)
+   */
+  static getGroundElevation(piece) {
+    if (piece.getGroundElevation) {
+      return piece.getGroundElevation();
+    }
+    return this.getLevelElevation(piece) + (piece.getElevation ? piece.getElevation() : 0);
+  }
+
+  /**
+   * Get the height of a room ceiling above its floor, in cm
+   * Uses the level height, or on the last level (and without levels) the height of the walls
+   * closest to the room points, keeping the highest one for rooms under sloped walls.
+   */
+  static getRoomCeilingHeight(home, room, points) {
+    const level = room.getLevel ? room.getLevel() : null;
+    const levels = (home.getLevels ? home.getLevels() : null) || [];
+    const defaultHeight = level && level.getHeight ? level.getHeight() : (home.getWallHeight ? home.getWallHeight() : 250);
+    if (level && levels.indexOf(level) !== levels.length - 1) {
+      return defaultHeight;
+    }
+
+    const walls = ((home.getWalls ? home.getWalls() : null) || [])
+      .filter(wall => (wall.getLevel ? wall.getLevel() : null) === level);
+    const wallHeightAt = (wall, atStart) => {
+      const height = wall.getHeight ? wall.getHeight() : null;
+      const heightAtEnd = wall.getHeightAtEnd ? wall.getHeightAtEnd() : null;
+      const startHeight = height !== null && height !== undefined ? height : (home.getWallHeight ? home.getWallHeight() : 250);
+      return atStart || heightAtEnd === null || heightAtEnd === undefined ? startHeight : heightAtEnd;
+    };
+
+    let ceilingHeight = null;
+    for (const [x, y] of points) {
+      let smallestDistance = Infinity;
+      let height = defaultHeight;
+      for (const wall of walls) {
+        const wallPoints = wall.getPoints ? wall.getPoints() : [];
+        for (let i = 0; i < wallPoints.length; i++) {
+          const distance = (wallPoints[i][0] - x) ** 2 + (wallPoints[i][1] - y) ** 2;
+          if (distance < smallestDistance) {
+            smallestDistance = distance;
+            // First and last points are at the wall start
+            height = wallHeightAt(wall, i === 0 || i === wallPoints.length - 1);
+          }
+        }
+      }
+      ceilingHeight = ceilingHeight === null ? height : Math.max(ceilingHeight, height);
+    }
+    return ceilingHeight !== null ? ceilingHeight : defaultHeight;
+  }
+
   /**
    * Extract effect propagation data for Unity particle systems
    * This calculates the affected area based on physical propagation (walls, rooms)
+   * @param {Object} transform - Coordinate transform of the affected area (see OBJExporter.getCoordinateTransform)
+   * @param {Object} deviceType - Type of the device in DeviceTypeRegistry, giving the default effect and radius
    */
-  static extractEffectPropagation(piece, home) {
-    const deviceType = this.getDeviceType(
-      piece.getCatalogId ? piece.getCatalogId() : '',
-      piece
-    );
-    
+  static extractEffectPropagation(piece, home, transform, deviceType = DeviceTypeRegistry.resolve(piece)) {
     // Get device position
     const x = piece.getX ? piece.getX() : 0;
     const y = piece.getY ? piece.getY() : 0;
-    const elevation = piece.getElevation ? piece.getElevation() : 0;
-    
-    // Determine default radius and propagation type based on device
-    let radius = 5.0; // Default 5 meters
-    let propagationType = 'room_fill'; // Default to wall-constrained
-    let particleType = 'environmental'; // Default particle type
     
-    // Custom settings per device type
-    switch (deviceType) {
-      case 'temperature_sensor':
-        radius = 5.0;
-        propagationType = 'room_fill';
-        particleType = 'heat';
-        break;
-      case 'humidity_sensor':
-        radius = 5.0;
-        propagationType = 'room_fill';
-        particleType = 'moisture';
-        break;
-      case 'light_sensor':
-      case 'light':
-        radius = 6.0;
-        propagationType = 'room_fill';
-        particleType = 'light';
-        break;
-      case 'motion_sensor':
-        radius = 4.0;
-        propagationType = 'circular';
-        particleType = 'detection_wave';
-        break;
-      case 'camera':
-        radius = 8.0;
-        propagationType = 'directional';
-        particleType = 'vision_cone';
-        break;
-      case 'speaker':
-        radius = 6.0;
-        propagationType = 'circular';
-        particleType = 'sound_wave';
-        break;
-      default:
-        radius = 3.0;
-        propagationType = 'circular';
-        particleType = 'generic';
-    }
+    // Default radius and propagation type of the device type
+    const type = deviceType || DeviceTypeRegistry.get('unknown');
+    const propagationType = type.effect;
     
-    // Try to get custom radius from furniture properties
-    try {
-      const storedRadius = piece.getProperty('haEffectRadius');
-      if (storedRadius && !isNaN(parseFloat(storedRadius))) {
-        radius = parseFloat(storedRadius);
-      }
-    } catch (e) {
-      // Property doesn't exist
+    // Custom radius set in the furniture dialog
+    let radius = DeviceProperties.get(piece, 'effectRadius', type);
+
+    // Cameras look where the piece faces, with the field of view and range set in the furniture dialog
+    const orientation = {
+      angle: piece.getAngle ? piece.getAngle() : 0,
+      fieldOfView: DeviceProperties.SCHEMA.cameraFieldOfView.default,
+      level: piece.getLevel ? piece.getLevel() : null
+    };
+    if (propagationType === 'directional') {
+      orientation.fieldOfView = DeviceProperties.get(piece, 'cameraFieldOfView');
+      radius = DeviceProperties.get(piece, 'cameraRange', type);
     }
     
     // Calculate affected area based on propagation type
     const affectedArea = this.calculateAffectedArea(
-      x, y, radius, propagationType, home
+      x, y, radius, propagationType, home, transform, orientation
     );
     
     return {
@@ -361,94 +959,87 @@ class UnityExportUtilities {
   
   /**
    * Calculate affected area for particle spawning in Unity
+   * @param {Object} orientation - {angle, fieldOfView, level} of the device, angle in radians and field of view in degrees
    */
-  static calculateAffectedArea(x, y, maxRadius, propagationType, home) {
+  static calculateAffectedArea(x, y, maxRadius, propagationType, home, transform, orientation = {}) {
     const radiusCm = maxRadius * 100; // Convert meters to cm
     
     switch (propagationType) {
       case 'room_fill':
-        return this.calculateRoomFilledArea(x, y, radiusCm, home);
+        return this.calculateRoomFilledArea(x, y, radiusCm, home, transform, orientation);
       
       case 'circular':
-        return this.calculateCircularArea(x, y, radiusCm);
+        return this.calculateCircularArea(x, y, radiusCm, home, transform, orientation);
       
       case 'square':
-        return this.calculateSquareArea(x, y, radiusCm);
+        return this.calculateSquareArea(x, y, radiusCm, transform);
       
       case 'directional':
-        return this.calculateDirectionalArea(x, y, radiusCm, home);
+        return this.calculateDirectionalArea(x, y, radiusCm, home, transform, orientation);
       
       default:
-        return this.calculateCircularArea(x, y, radiusCm);
+        return this.calculateCircularArea(x, y, radiusCm, home, transform, orientation);
     }
   }
   
   /**
    * Calculate room-filled area (wall-constrained)
-   * Returns polygon vertices in Unity coordinates (meters)
+   * Returns polygon vertices in Unity coordinates
+   * @param {Object} orientation - {level} of the device
    */
-  static calculateRoomFilledArea(x, y, maxRadius, home) {
+  static calculateRoomFilledArea(x, y, maxRadius, home, transform, orientation = {}) {
     // Find room containing device
     const room = this.findRoomContaining(x, y, home);
     
     if (room && room.getPoints) {
       const points = room.getPoints();
-      // Convert to Unity coordinates (cm to meters, flip Y/Z)
+      // Convert to Unity coordinates, at floor level
       return {
         type: 'polygon',
-        vertices: points.map(p => ({
-          x: p[0] * 0.01,
-          y: 0.0, // Floor level
-          z: p[1] * 0.01
-        })),
+        vertices: points.map(p => transform.point(p[0], p[1])),
         volume: true, // Fill entire room volume
         boundedByWalls: true
       };
     }
     
-    // Fallback: Use flood fill with wall detection
-    const samplePoints = this.sampleWallConstrainedPoints(x, y, maxRadius, home);
+    // Fallback: Area seen from the device, through doorways
+    const segments = this.getWallSegments(home, orientation.level || null);
     
     return {
-      type: 'point_cloud',
-      points: samplePoints.map(p => ({
-        x: p[0] * 0.01,
-        y: 0.0,
-        z: p[1] * 0.01
-      })),
+      type: 'polygon',
+      vertices: this.computeVisibilityPolygon(x, y, maxRadius, segments).map(p => transform.point(p[0], p[1])),
       volume: true,
       boundedByWalls: true
     };
   }
   
   /**
-   * Calculate circular area (omnidirectional)
+   * Calculate circular area (omnidirectional), as the part of the disc seen from the device:
+   * walls of its level stop it, doorways let it spill into adjacent rooms
+   * @param {Object} orientation - {level} of the device
    */
-  static calculateCircularArea(x, y, radius) {
+  static calculateCircularArea(x, y, radius, home, transform, orientation = {}) {
+    const segments = this.getWallSegments(home, orientation.level || null);
+    
     return {
-      type: 'sphere',
-      center: {
-        x: x * 0.01,
-        y: 0.0,
-        z: y * 0.01
-      },
-      radius: radius * 0.01,
+      type: 'polygon',
+      center: transform.point(x, y),
+      radius: transform.length(radius),
+      vertices: this.computeVisibilityPolygon(x, y, radius, segments).map(p => transform.point(p[0], p[1])),
       volume: true,
-      boundedByWalls: false
+      boundedByWalls: true
     };
   }
   
   /**
    * Calculate square area
    */
-  static calculateSquareArea(x, y, radius) {
-    const r = radius * 0.01;
-    const cx = x * 0.01;
-    const cz = y * 0.01;
+  static calculateSquareArea(x, y, radius, transform) {
+    const r = transform.length(radius);
     
     return {
       type: 'box',
-      center: { x: cx, y: 0.0, z: cz },
+      center: transform.point(x, y),
       size: { x: r * 2, y: r * 2, z: r * 2 },
       volume: true,
       boundedByWalls: false
@@ -456,23 +1047,235 @@ class UnityExportUtilities {
   }
   
   /**
-   * Calculate directional area (cone)
+   * Calculate directional area (cone) along the front of the device, clipped by the walls of its level
+   * @param {Object} orientation - {angle, fieldOfView, level}: plan angle of the piece in radians,
+   *                               horizontal field of view in degrees (default 60) and level of the device
    */
-  static calculateDirectionalArea(x, y, radius, home) {
-    // Cone with 60 degree FOV
+  static calculateDirectionalArea(x, y, radius, home, transform, orientation = {}) {
+    const angle = orientation.angle || 0;
+    const fieldOfView = orientation.fieldOfView || 60;
+    // Front of a piece faces plan +Y, rotated clockwise by its angle
+    const dx = -Math.sin(angle);
+    const dy = Math.cos(angle);
+    const sweep = Math.min(fieldOfView, 360) * Math.PI / 180;
+    const segments = this.getWallSegments(home, orientation.level || null);
+    const arc = this.computeVisibilityPolygon(x, y, radius, segments, Math.atan2(dy, dx) - sweep / 2, sweep);
+    const vertices = sweep < 2 * Math.PI ? [[x, y], ...arc] : arc;
+
     return {
       type: 'cone',
-      origin: {
-        x: x * 0.01,
-        y: 0.0,
-        z: y * 0.01
-      },
-      direction: { x: 0, y: 0, z: 1 }, // Forward
-      angle: 60, // degrees
-      range: radius * 0.01,
+      origin: transform.point(x, y),
+      direction: { x: dx, y: 0, z: dy * transform.zSign },
+      angle: fieldOfView, // degrees
+      range: transform.length(radius),
+      vertices: vertices.map(p => transform.point(p[0], p[1])),
       volume: true,
-      boundedByWalls: false
+      boundedByWalls: true
+    };
+  }
+
+  /**
+   * Get the outline sides of the walls at a level, as [x1, y1, x2, y2] segments in cm,
+   * interrupted by the doorways crossing them (see getDoorways)
+   * @param {Level|null} level - Level of the walls, null for all walls
+   */
+  static getWallSegments(home, level) {
+    const segments = [];
+    const doorways = this.getDoorways(home, level);
+    for (const wall of (home && home.getWalls ? home.getWalls() : null) || []) {
+      if (level && !(wall.isAtLevel ? wall.isAtLevel(level) : wall.getLevel() === level)) {
+        continue;
+      }
+      const points = wall.getPoints
+        ? wall.getPoints()
+        : [[wall.getXStart(), wall.getYStart()], [wall.getXEnd(), wall.getYEnd()]];
+      const gaps = this.getWallGaps(wall, doorways);
+      for (let i = 0; i < points.length; i++) {
+        const next = points[(i + 1) % points.length];
+        if (points.length > 2 || i === 0) {
+          segments.push(...this.splitWallSegment(wall, [points[i][0], points[i][1], next[0], next[1]], gaps));
+        }
+      }
+    }
+    return segments;
+  }
+
+  /**
+   * Get the visible doors and windows at a level that stand on its floor, through which effects pass
+   * @param {Level|null} level - Level of the doorways, null for all of them
+   */
+  static getDoorways(home, level) {
+    const furniture = (home && home.getFurniture ? home.getFurniture() : null) || [];
+    return OBJExporter.flattenFurniture(furniture)
+      .filter(entry => !entry.isGroup)
+      .map(entry => entry.piece)
+      .filter(piece => piece.isDoorOrWindow && piece.isDoorOrWindow()
+        && (!piece.isVisible || piece.isVisible())
+        && (!level || (piece.isAtLevel ? piece.isAtLevel(level) : piece.getLevel() === level))
+        && this.isDoorway(piece)
+        && piece.getPoints);
+  }
+
+  /**
+   * Get the parts of a wall axis opened by doorways, as [u0, u1] ranges in cm from the wall start
+   */
+  static getWallGaps(wall, doorways) {
+    const xStart = wall.getXStart(), yStart = wall.getYStart();
+    const length = Math.hypot(wall.getXEnd() - xStart, wall.getYEnd() - yStart);
+    if (length === 0) {
+      return [];
+    }
+    const ux = (wall.getXEnd() - xStart) / length, uy = (wall.getYEnd() - yStart) / length;
+    const halfThickness = (wall.getThickness ? wall.getThickness() : 10) / 2;
+    const gaps = [];
+    for (const piece of doorways) {
+      // Project the doorway footprint along the wall axis (u) and across it (w)
+      let uMin = Infinity, uMax = -Infinity, wMin = Infinity, wMax = -Infinity;
+      for (const [px, py] of piece.getPoints()) {
+        const u = (px - xStart) * ux + (py - yStart) * uy;
+        const w = (py - yStart) * ux - (px - xStart) * uy;
+        uMin = Math.min(uMin, u); uMax = Math.max(uMax, u);
+        wMin = Math.min(wMin, w); wMax = Math.max(wMax, w);
+      }
+      if (wMax > -halfThickness && wMin < halfThickness && uMax > 0 && uMin < length) {
+        gaps.push([Math.max(0, uMin), Math.min(length, uMax)]);
+      }
+    }
+    return gaps;
+  }
+
+  /**
+   * Remove the parts of a wall outline segment that run along doorway gaps of the wall
+   * @returns {Array} - Remaining [x1, y1, x2, y2] segments
+   */
+  static splitWallSegment(wall, segment, gaps) {
+    const [x1, y1, x2, y2] = segment;
+    const xStart = wall.getXStart(), yStart = wall.getYStart();
+    const length = Math.hypot(wall.getXEnd() - xStart, wall.getYEnd() - yStart);
+    if (gaps.length === 0 || length === 0) {
+      return [segment];
+    }
+    const ux = (wall.getXEnd() - xStart) / length, uy = (wall.getYEnd() - yStart) / length;
+    const u1 = (x1 - xStart) * ux + (y1 - yStart) * uy;
+    const u2 = (x2 - xStart) * ux + (y2 - yStart) * uy;
+    // Wall ends, across the axis, stay whole
+    if (Math.abs(u2 - u1) < 1e-6) {
+      return [segment];
+    }
+
+    // Keep the ranges of the segment parameter t in [0, 1] outside the gaps
+    let kept = [[0, 1]];
+    for (const [g0, g1] of gaps) {
+      const ta = (g0 - u1) / (u2 - u1), tb = (g1 - u1) / (u2 - u1);
+      const t0 = Math.min(ta, tb), t1 = Math.max(ta, tb);
+      kept = kept.flatMap(([k0, k1]) => [[k0, Math.min(k1, t0)], [Math.max(k0, t1), k1]])
+        .filter(([k0, k1]) => k1 - k0 > 1e-6);
+    }
+    return kept.map(([t0, t1]) => [
+      x1 + (x2 - x1) * t0, y1 + (y2 - y1) * t0,
+      x1 + (x2 - x1) * t1, y1 + (y2 - y1) * t1
+    ]);
+  }
+
+  /**
+   * Compute the part of a disc (or of a sector of it) seen from its center, stopped by segments.
+   * Rays are cast towards the ends of the segments, on each side of them, and along the arc.
+   * @param {number} radius - Radius of the disc in cm
+   * @param {Array} segments - Obstacles as [x1, y1, x2, y2] segments
+   * @param {number} startAngle - Plan angle of the sector start, in radians
+   * @param {number} sweep - Angle of the sector in radians, 2 * PI for the whole disc
+   * @returns {Array} - Points [x, y] of the visible boundary, ordered by angle from startAngle
+   */
+  static computeVisibilityPolygon(x, y, radius, segments, startAngle = 0, sweep = 2 * Math.PI) {
+    const epsilon = 1e-4;
+    const fullTurn = sweep >= 2 * Math.PI - epsilon;
+    // Keep segments reaching the disc
+    const obstacles = segments.filter(s => this.distanceToSegment(x, y, s) < radius);
+
+    const angles = [];
+    const addAngle = planAngle => {
+      let relative = (planAngle - startAngle) % (2 * Math.PI);
+      if (relative < 0) {
+        relative += 2 * Math.PI;
+      }
+      for (const a of [relative - epsilon, relative, relative + epsilon]) {
+        if (a >= 0 && (fullTurn ? a < 2 * Math.PI : a <= sweep)) {
+          angles.push(a);
+        }
+      }
     };
+    // Arc samples every 5 degrees at most
+    const arcSteps = Math.max(2, Math.ceil(sweep / (Math.PI / 36)));
+    for (let i = 0; i <= arcSteps; i++) {
+      if (!fullTurn || i < arcSteps) {
+        angles.push(sweep * i / arcSteps);
+      }
+    }
+    for (const [x1, y1, x2, y2] of obstacles) {
+      for (const [px, py] of [[x1, y1], [x2, y2]]) {
+        if (Math.hypot(px - x, py - y) < radius) {
+          addAngle(Math.atan2(py - y, px - x));
+        }
+      }
+      // Points where the segment crosses the arc
+      const ex = x2 - x1, ey = y2 - y1;
+      const fx = x1 - x, fy = y1 - y;
+      const a = ex * ex + ey * ey;
+      const b = 2 * (fx * ex + fy * ey);
+      const delta = b * b - 4 * a * (fx * fx + fy * fy - radius * radius);
+      if (a > 0 && delta >= 0) {
+        for (const t of [(-b - Math.sqrt(delta)) / (2 * a), (-b + Math.sqrt(delta)) / (2 * a)]) {
+          if (t >= 0 && t <= 1) {
+            addAngle(Math.atan2(fy + t * ey, fx + t * ex));
+          }
+        }
+      }
+    }
+    angles.sort((a, b) => a - b);
+
+    const polygon = [];
+    let lastAngle = null;
+    for (const relative of angles) {
+      if (lastAngle !== null && relative - lastAngle < epsilon / 10) {
+        continue;
+      }
+      lastAngle = relative;
+      const dx = Math.cos(startAngle + relative);
+      const dy = Math.sin(startAngle + relative);
+      const distance = this.castRay(x, y, dx, dy, radius, obstacles);
+      polygon.push([x + dx * distance, y + dy * distance]);
+    }
+    return polygon;
+  }
+
+  /**
+   * Get the distance from (x, y) along the unit direction (dx, dy) to the nearest segment, at most maxDistance
+   */
+  static castRay(x, y, dx, dy, maxDistance, segments) {
+    let distance = maxDistance;
+    for (const [x1, y1, x2, y2] of segments) {
+      const ex = x2 - x1, ey = y2 - y1;
+      const denominator = dx * ey - dy * ex;
+      if (Math.abs(denominator) < 1e-12) {
+        continue;
+      }
+      const t = ((x1 - x) * ey - (y1 - y) * ex) / denominator;
+      const s = ((x1 - x) * dy - (y1 - y) * dx) / denominator;
+      if (t >= 0 && t < distance && s >= 0 && s <= 1) {
+        distance = t;
+      }
+    }
+    return distance;
+  }
+
+  /**
+   * Get the distance from a point to a [x1, y1, x2, y2] segment
+   */
+  static distanceToSegment(x, y, [x1, y1, x2, y2]) {
+    const ex = x2 - x1, ey = y2 - y1;
+    const lengthSq = ex * ex + ey * ey;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - x1) * ex + (y - y1) * ey) / lengthSq)) : 0;
+    return Math.hypot(x - x1 - t * ex, y - y1 - t * ey);
   }
   
   /**
@@ -510,61 +1313,6 @@ class UnityExportUtilities {
     return inside;
   }
   
-  /**
-   * Sample points constrained by walls (flood fill)
-   */
-  static sampleWallConstrainedPoints(x, y, maxRadius, home) {
-    const points = [];
-    const step = 50; // 50cm sampling
-    const walls = home.getWalls ? home.getWalls() : [];
-    
-    for (let px = x - maxRadius; px <= x + maxRadius; px += step) {
-      for (let py = y - maxRadius; py <= y + maxRadius; py += step) {
-        const dist = Math.sqrt((px - x) ** 2 + (py - y) ** 2);
-        
-        if (dist <= maxRadius) {
-          // Check if path crosses walls
-          if (!this.pathCrossesWalls(x, y, px, py, walls)) {
-            points.push([px, py]);
-          }
-        }
-      }
-    }
-    
-    return points;
-  }
-  
-  /**
-   * Check if line segment crosses any walls
-   */
-  static pathCrossesWalls(x1, y1, x2, y2, walls) {
-    for (let i = 0; i < walls.length; i++) {
-      const wall = walls[i];
-      const wx1 = wall.getXStart ? wall.getXStart() : 0;
-      const wy1 = wall.getYStart ? wall.getYStart() : 0;
-      const wx2 = wall.getXEnd ? wall.getXEnd() : 0;
-      const wy2 = wall.getYEnd ? wall.getYEnd() : 0;
-      
-      if (this.lineSegmentsIntersect(x1, y1, x2, y2, wx1, wy1, wx2, wy2)) {
-        return true;
-      }
-    }
-    return false;
-  }
-  
-  /**
-   * Line segment intersection test
-   */
-  static lineSegmentsIntersect(x1, y1, x2, y2, x3, y3, x4, y4) {
-    const denominator = ((y4 - y3) * (x2 - x1)) - ((x4 - x3) * (y2 - y1));
-    if (denominator === 0) return false;
-    
-    const ua = (((x4 - x3) * (y1 - y3)) - ((y4 - y3) * (x1 - x3))) / denominator;
-    const ub = (((x2 - x1) * (y1 - y3)) - ((y2 - y1) * (x1 - x3))) / denominator;
-    
-    return (ua >= 0 && ua <= 1 && ub >= 0 && ub <= 1);
-  }
-  
   /**
    * Get Unity particle system settings based on device type
    */
@@ -625,48 +1373,6 @@ class UnityExportUtilities {
     return settings;
   }
   
-  /**
-   * Get device type from catalog ID or name
-   */
-  static getDeviceType(catalogId, piece) {
-    const name = (piece.getName ? piece.getName() : '').toLowerCase();
-    const id = catalogId ? catalogId.toLowerCase() : '';
-    const combined = name + ' ' + id;
-    
-    if (combined.includes('temperature') || combined.includes('temp')) {
-      return 'temperature_sensor';
-    }
-    if (combined.includes('humidity')) {
-      return 'humidity_sensor';
-    }
-    if (combined.includes('motion') || combined.includes('pir')) {
-      return 'motion_sensor';
-    }
-    if (combined.includes('light') && combined.includes('sensor')) {
-      return 'light_sensor';
-    }
-    if (combined.includes('light') && !combined.includes('sensor')) {
-      return 'light';
-    }
-    if (combined.includes('camera')) {
-      return 'camera';
-    }
-    if (combined.includes('thermostat')) {
-      return 'thermostat';
-    }
-    if (combined.includes('switch')) {
-      return 'switch';
-    }
-    if (combined.includes('dimmer')) {
-      return 'dimmer';
-    }
-    if (combined.includes('plug')) {
-      return 'smart_plug';
-    }
-    
-    return 'unknown';
-  }
-  
   /**
    * Generate Unity C# import script
    */
@@ -697,6 +1403,11 @@ public class ${this.toPascalCase(baseName)}Importer : MonoBehaviour
     [Header("Runtime")]
     public GameObject homeModel;
     public List<GameObject> instantiatedDevices = new List<GameObject>();
+    public List<Light> instantiatedLights = new List<Light>();
+    public Viewpoint[] viewpoints = new Viewpoint[0];  // Stored cameras of the home
+    public float lightIntensityScale = 2f;  // Unity intensity of a light at full SweetHome3D power
+    public float lightRange = 5f;  // Range of point lights, in meters
+    public float unitScale = 1f;  // Exported unit to meters, from coordinateSystem.unit
     
     void Start()
     {
@@ -708,13 +1419,22 @@ public class ${this.toPascalCase(baseName)}Importer : MonoBehaviour
     {
         Debug.Log("Importing ${baseName}...");
         
+        // Load device metadata, whose coordinate system is also the one of the geometry
+        DeviceData data = LoadDeviceData();
+        unitScale = data != null && data.coordinateSystem != null && data.coordinateSystem.unit == "centimeters" ? 0.01f : 1f;
+        
         // Load and instantiate the 3D model
         LoadHomeModel();
         
-        // Load and place IoT devices
-        LoadIoTDevices();
+        // Place IoT devices, lights and viewpoints
+        if (data != null)
+        {
+            LoadIoTDevices(data);
+            LoadLights(data);
+            viewpoints = data.viewpoints ?? new Viewpoint[0];
+        }
         
-        Debug.Log($"Import complete: {instantiatedDevices.Count} devices placed");
+        Debug.Log($"Import complete: {instantiatedDevices.Count} devices, {instantiatedLights.Count} lights, {viewpoints.Length} viewpoints");
     }
     
     void LoadHomeModel()
@@ -728,8 +1448,8 @@ public class ${this.toPascalCase(baseName)}Importer : MonoBehaviour
             homeModel = Instantiate(modelPrefab, transform);
             homeModel.name = "${baseName}_Model";
             
-            // Apply correct scale (SweetHome3D cm to Unity m)
-            homeModel.transform.localScale = new Vector3(1f, 1f, 1f); // Already scaled in OBJ
+            // Apply correct scale (exported unit to Unity m)
+            homeModel.transform.localScale = Vector3.one * unitScale;
             
             Debug.Log("Home model loaded successfully");
         }
@@ -739,7 +1459,7 @@ public class ${this.toPascalCase(baseName)}Importer : MonoBehaviour
         }
     }
     
-    void LoadIoTDevices()
+    DeviceData LoadDeviceData()
     {
         // Load device metadata JSON
         TextAsset jsonAsset = Resources.Load<TextAsset>("${baseName}/${baseName}_devices");
@@ -747,11 +1467,14 @@ public class ${this.toPascalCase(baseName)}Importer : MonoBehaviour
         if (jsonAsset == null)
         {
             Debug.LogWarning($"Devices JSON not found at: {devicesJsonPath}");
-            return;
+            return null;
         }
         
-        DeviceData data = JsonUtility.FromJson<DeviceData>(jsonAsset.text);
-        
+        return JsonUtility.FromJson<DeviceData>(jsonAsset.text);
+    }
+    
+    void LoadIoTDevices(DeviceData data)
+    {
         foreach (var device in data.devices)
         {
             if (device.isIoTDevice)
@@ -774,12 +1497,12 @@ public class ${this.toPascalCase(baseName)}Importer : MonoBehaviour
         GameObject deviceObj = Instantiate(prefab, transform);
         deviceObj.name = device.name;
         
-        // Set position (already in meters from export)
-        deviceObj.transform.position = new Vector3(
+        // Set position, in the same coordinates as the home model
+        deviceObj.transform.localPosition = new Vector3(
             device.position.x,
             device.position.y,
             device.position.z
-        );
+        ) * unitScale;
         
         // Set rotation
         deviceObj.transform.rotation = Quaternion.Euler(0, device.rotation.y, 0);
@@ -792,6 +1515,7 @@ public class ${this.toPascalCase(baseName)}Importer : MonoBehaviour
         tracker.haEntityId = device.haEntityId;  // Home Assistant entity ID
         tracker.controlsEntityId = device.controlsEntityId;
         tracker.switchType = device.switchType;
+        tracker.meshObject = FindMeshObject(device.objectName);
         
         instantiatedDevices.Add(deviceObj);
         
@@ -804,6 +1528,74 @@ public class ${this.toPascalCase(baseName)}Importer : MonoBehaviour
         Debug.Log(logMessage);
     }
     
+    void LoadLights(DeviceData data)
+    {
+        if (data.lights == null)
+        {
+            return;
+        }
+        foreach (var light in data.lights)
+        {
+            foreach (var source in light.sources)
+            {
+                GameObject lightObj = new GameObject($"{light.name} ({light.id})");
+                lightObj.transform.SetParent(transform, false);
+                lightObj.transform.localPosition = new Vector3(source.position.x, source.position.y, source.position.z) * unitScale;
+                
+                Light unityLight = lightObj.AddComponent<Light>();
+                unityLight.type = LightType.Point;
+                unityLight.range = lightRange;
+                unityLight.intensity = light.power * lightIntensityScale / light.sources.Length;
+                Color color;
+                if (ColorUtility.TryParseHtmlString(source.color, out color))
+                {
+                    unityLight.color = color;
+                }
+                instantiatedLights.Add(unityLight);
+            }
+        }
+    }
+    
+    /// <summary>
+    /// Move the main camera to a stored viewpoint of the home
+    /// </summary>
+    public bool GoToViewpoint(string viewpointName)
+    {
+        Camera camera = Camera.main;
+        foreach (var viewpoint in viewpoints)
+        {
+            if (camera != null && viewpoint.name == viewpointName)
+            {
+                camera.transform.position = transform.TransformPoint(
+                    new Vector3(viewpoint.position.x, viewpoint.position.y, viewpoint.position.z) * unitScale);
+                camera.transform.LookAt(transform.TransformPoint(
+                    new Vector3(viewpoint.lookAt.x, viewpoint.lookAt.y, viewpoint.lookAt.z) * unitScale));
+                // Unity's field of view is vertical
+                float horizontal = viewpoint.fieldOfView * Mathf.Deg2Rad;
+                camera.fieldOfView = 2f * Mathf.Atan(Mathf.Tan(horizontal / 2f) / camera.aspect) * Mathf.Rad2Deg;
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    // Find the imported mesh of a device (OBJ object / group named after objectName, see manifest.json)
+    GameObject FindMeshObject(string objectName)
+    {
+        if (homeModel == null || string.IsNullOrEmpty(objectName))
+        {
+            return null;
+        }
+        foreach (Transform child in homeModel.GetComponentsInChildren<Transform>(true))
+        {
+            if (child.name == objectName || child.name.EndsWith(" " + objectName))
+            {
+                return child.gameObject;
+            }
+        }
+        return null;
+    }
+    
     GameObject GetDevicePrefab(string deviceType)
     {
         switch (deviceType)
@@ -833,7 +1625,18 @@ public class ${this.toPascalCase(baseName)}Importer : MonoBehaviour
     {
         public string version;
         public string exportedAt;
+        public CoordinateSystem coordinateSystem;
         public Device[] devices;
+        public LightData[] lights;
+        public Viewpoint[] viewpoints;
+    }
+    
+    [System.Serializable]
+    public class CoordinateSystem
+    {
+        public string unit;        // "meters" or "centimeters"
+        public string handedness;  // "right" or "left"
+        public string zAxis;       // "plan y" or "-plan y"
     }
     
     [System.Serializable]
@@ -843,6 +1646,7 @@ public class ${this.toPascalCase(baseName)}Importer : MonoBehaviour
         public string name;
         public string type;
         public string catalogId;
+        public string objectName;  // Mesh object name in the geometry export
         public Position position;
         public Rotation rotation;
         public bool isIoTDevice;
@@ -852,6 +1656,40 @@ public class ${this.toPascalCase(baseName)}Importer : MonoBehaviour
         public string switchType;
     }
     
+    [System.Serializable]
+    public class LightData
+    {
+        public string id;
+        public string name;
+        public string objectName;  // Mesh object name in the geometry export
+        public string deviceId;    // Device of the same piece, if any
+        public string haEntityId;
+        public Position position;
+        public float power;        // 0 to 1
+        public string color;       // #rrggbb
+        public LightSourceData[] sources;
+    }
+    
+    [System.Serializable]
+    public class LightSourceData
+    {
+        public Position position;
+        public string color;
+        public float diameter;
+    }
+    
+    [System.Serializable]
+    public class Viewpoint
+    {
+        public string id;
+        public string name;
+        public Position position;
+        public Position lookAt;
+        public float yaw;
+        public float pitch;
+        public float fieldOfView;  // Horizontal, in degrees
+    }
+    
     [System.Serializable]
     public class Position
     {
@@ -884,6 +1722,7 @@ public class IoTDeviceTracker : MonoBehaviour
     public string deviceId;
     public string deviceType;
     public string deviceName;
+    public GameObject meshObject;  // Imported 3D model of the device, if found
     
     [Header("Home Assistant Integration")]
     public string haEntityId;  // Home Assistant entity_id (e.g., "light.living_room")
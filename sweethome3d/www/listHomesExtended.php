@@ -3,7 +3,10 @@
    * listHomesExtended.php — returns homes with device/geometry availability
    *
    * Returns JSON array of objects:
-   *   [{"id":"home-abc","hasDevices":true,"hasGeometry":false},...]
+   *   [{"id":"home-abc","hasDevices":true,"hasGeometry":true,"geometryFormat":"obj"},...]
+   *
+   * geometryFormat is "obj" for <home>_geometry.zip, "glb" for <home>_geometry.glb, null without geometry.
+   * When both exist, the newer one is the geometry of the last export, matching <home>_devices.json.
    *
    * Separate from listHomes.php to avoid breaking SweetHome3D core
    * which expects a plain string array.
@@ -19,10 +22,20 @@
     while ($file = readdir($handler)) {
       if (!is_dir($dataDir . '/' . $file) && str_ends_with($file, '.sh3x')) {
         $homeId = substr($file, 0, -5);
+        $geometryFormat = null;
+        $geometryTime = null;
+        foreach (['obj' => '_geometry.zip', 'glb' => '_geometry.glb'] as $format => $suffix) {
+          $geometryFile = $dataDir . '/' . $homeId . $suffix;
+          if (file_exists($geometryFile) && ($geometryTime === null || filemtime($geometryFile) > $geometryTime)) {
+            $geometryFormat = $format;
+            $geometryTime = filemtime($geometryFile);
+          }
+        }
         $homes[] = [
-          'id'          => $homeId,
-          'hasDevices'  => file_exists($dataDir . '/' . $homeId . '_devices.json'),
-          'hasGeometry' => file_exists($dataDir . '/' . $homeId . '_geometry.zip'),
+          'id'             => $homeId,
+          'hasDevices'     => file_exists($dataDir . '/' . $homeId . '_devices.json'),
+          'hasGeometry'    => $geometryFormat !== null,
+          'geometryFormat' => $geometryFormat,
         ];
       }
     }
@@ -3,8 +3,12 @@ import { createPinia } from 'pinia'
 import { router } from './router'
 import App from './App.vue'
 import { prefetchEntities } from './services/haApiService'
+import { watchHomesForDeviceMigration } from './services/furnitureService'
 
 createApp(App).use(createPinia()).use(router).mount('#vue-app')
 
 // Eagerly fetch HA entities so the selector dropdown is instant
 prefetchEntities()
+
+// Device properties saved under older keys are renamed when homes are opened
+watchHomesForDeviceMigration()
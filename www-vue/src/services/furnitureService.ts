@@ -1,3 +1,5 @@
+import type { DeviceType } from '@/utils/deviceDetection'
+
 export function getFurnitureController(): SH3DFurniture | null {
   try {
     return window.application.getHomes()[0].getSelectedItems()[0] ?? null
@@ -23,9 +25,122 @@ export function setCustomProperty(controller: SH3DFurniture, key: string, value:
 }
 
 export function getHAEntityId(furniture: SH3DFurniture): string {
-  return getCustomProperty(furniture, 'haEntityId') ?? ''
+  return getDeviceProperty(furniture, 'haEntityId') ?? ''
 }
 
 export function setHAEntityId(controller: SH3DFurniture, value: string): void {
-  setCustomProperty(controller, 'haEntityId', value)
+  setDeviceProperty(controller, 'haEntityId', value)
+}
+
+/**
+ * Values of the device properties of DeviceProperties (lib/device-properties.js), by key
+ */
+export interface DevicePropertyValues {
+  haDeviceType: string
+  haEntityId: string
+  effectRadius: number         // Meters
+  cameraFieldOfView: number    // Degrees
+  cameraRange: number          // Meters
+  controlsEntityId: string
+  switchType: 'fixed' | 'pressure'
+}
+
+export type DevicePropertyKey = keyof DevicePropertyValues
+
+export interface DevicePropertySpec {
+  type: 'string' | 'number' | 'enum'
+  default: string | number | null  // null = radius of the device type
+  unit?: string
+  min?: number
+  max?: number
+  values?: string[]
+  pattern?: string
+  aliases: string[]                // Older keys, migrated on load
+}
+
+interface DevicePropertiesAPI {
+  SCHEMA: Record<DevicePropertyKey, DevicePropertySpec>
+  get(piece: SH3DFurniture, key: DevicePropertyKey, deviceType?: DeviceType | null): unknown
+  set(piece: SH3DFurniture, key: DevicePropertyKey, value: unknown): void
+  validate(key: DevicePropertyKey, value: unknown): string | null
+  migrate(piece: SH3DFurniture): string[]
+  migrateHome(home: SH3DHome): number
+}
+
+function getDeviceProperties(): DevicePropertiesAPI | null {
+  return (window as any).DeviceProperties ?? null
+}
+
+export function getDevicePropertySpec(key: DevicePropertyKey): DevicePropertySpec | null {
+  return getDeviceProperties()?.SCHEMA[key] ?? null
+}
+
+/**
+ * Get a device property of a piece, or its default
+ * @param deviceType Type of the piece, giving the default of effectRadius and cameraRange
+ */
+export function getDeviceProperty<K extends DevicePropertyKey>(
+  controller: SH3DFurniture,
+  key: K,
+  deviceType?: DeviceType | null,
+): DevicePropertyValues[K] | null {
+  try {
+    return (getDeviceProperties()?.get(controller, key, deviceType) ?? null) as DevicePropertyValues[K] | null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Store a device property in a piece, '' removing it
+ * @returns Validation error, or null when the value is valid. Invalid numbers and enum values aren't stored.
+ */
+export function setDeviceProperty<K extends DevicePropertyKey>(
+  controller: SH3DFurniture,
+  key: K,
+  value: DevicePropertyValues[K] | '',
+): string | null {
+  const properties = getDeviceProperties()
+  if (!properties) {
+    setCustomProperty(controller, key, String(value))
+    return null
+  }
+  try {
+    properties.set(controller, key, value)
+  } catch (error) {
+    return (error as Error).message
+  }
+  return value === '' ? null : properties.validate(key, value)
+}
+
+/**
+ * Move the device properties stored under older keys (e.g. haEffectRadius) to their current key
+ * @returns Count of migrated properties
+ */
+export function migrateDeviceProperties(home: SH3DHome): number {
+  try {
+    return getDeviceProperties()?.migrateHome(home) ?? 0
+  } catch {
+    return 0
+  }
+}
+
+/**
+ * Migrate the device properties of the homes opened in the editor
+ */
+export function watchHomesForDeviceMigration(): void {
+  const application = window.application
+  if (!application?.addHomesListener) return
+  const migrate = (home: SH3DHome) => {
+    const count = migrateDeviceProperties(home)
+    if (count > 0) {
+      console.log(`🔄 Migrated ${count} device properties of the opened home`)
+    }
+  }
+  application.getHomes().forEach(migrate)
+  application.addHomesListener((event) => {
+    if (event.getType() === (window as any).CollectionEvent?.Type.ADD) {
+      migrate(event.getItem())
+    }
+  })
 }
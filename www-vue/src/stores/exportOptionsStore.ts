@@ -0,0 +1,57 @@
+import { defineStore } from 'pinia'
+import { useSettingsStore } from '@/stores/settingsStore'
+
+const STORAGE_KEY = 'ha-export-options'
+
+export interface ExportOptions {
+  includeInvisible: boolean
+  selectedOnly: boolean
+  includeDecorative: boolean    // Furniture other than devices, doors and windows
+  levels: string[] | null       // Ids (or names) of the exported levels, null = all levels
+  format: 'obj' | 'glb'
+  origin: string                // 'plan', 'center' of the exported items, or the name of a label or piece
+  unit: 'cm' | 'm'              // OBJ only, GLB is always in meters
+  handedness: 'right' | 'left'  // OBJ only, GLB is always right-handed
+  ground: boolean               // Ground plane around the home
+}
+
+function loadAll(): Record<string, ExportOptions> {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * Export options chosen in the export dialog, remembered per home (by home name)
+ */
+export const useExportOptionsStore = defineStore('exportOptions', () => {
+  const settingsStore = useSettingsStore()
+
+  function defaults(): ExportOptions {
+    return {
+      includeInvisible: true,
+      selectedOnly: false,
+      includeDecorative: true,
+      levels: null,
+      format: settingsStore.settings.geometryFormat,
+      origin: 'plan',
+      unit: 'm',
+      handedness: 'right',
+      ground: false,
+    }
+  }
+
+  function load(homeName: string): ExportOptions {
+    return { ...defaults(), ...loadAll()[homeName] }
+  }
+
+  function save(homeName: string, options: ExportOptions): void {
+    const all = loadAll()
+    all[homeName] = { ...options }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all))
+  }
+
+  return { defaults, load, save }
+})
@@ -1,64 +1,98 @@
 import { defineStore } from 'pinia'
 import { ref, computed } from 'vue'
-import { isSmartDeviceFurniture, isSwitchFurniture } from '@/utils/deviceDetection'
-import { getCustomProperty, setCustomProperty } from '@/services/furnitureService'
+import { resolveDeviceType, type DeviceEditor } from '@/utils/deviceDetection'
+import {
+  getDeviceProperty,
+  setDeviceProperty,
+  type DevicePropertyKey,
+  type DevicePropertyValues,
+} from '@/services/furnitureService'
 
 export const useFurnitureStore = defineStore('furniture', () => {
   const activeController = ref<SH3DFurniture | null>(null)
+  const deviceTypeMark = ref('')  // Device type chosen for the piece, '' = detected, 'none' = not a device
   const haEntityId = ref('')
   const effectRadius = ref(3.0)
   const controlsEntityId = ref('')
   const switchType = ref<'pressure' | 'fixed'>('fixed')
-  const pendingProps = ref<Record<string, string>>({})
+  const cameraFieldOfView = ref(60)
+  const cameraRange = ref(8.0)
+  const pendingProps = ref<Partial<{ [K in DevicePropertyKey]: DevicePropertyValues[K] | '' }>>({})
+  const propertyErrors = ref<Partial<Record<DevicePropertyKey, string>>>({})
 
-  const isSmartDevice = computed(() =>
-    activeController.value ? isSmartDeviceFurniture(activeController.value) : false,
+  const detectedDeviceType = computed(() =>
+    activeController.value ? resolveDeviceType(activeController.value, '') : null,
   )
-  const isSwitchDevice = computed(() =>
-    activeController.value ? isSwitchFurniture(activeController.value) : false,
+  const deviceType = computed(() =>
+    activeController.value ? resolveDeviceType(activeController.value, deviceTypeMark.value) : null,
   )
+  const hasEditor = (editor: DeviceEditor) => deviceType.value?.editors.includes(editor) ?? false
+
+  const isSmartDevice = computed(() => deviceType.value !== null)
+  const isSwitchDevice = computed(() => hasEditor('switchType'))
+  const isCameraDevice = computed(() => hasEditor('camera'))
 
   function loadFromController(controller: SH3DFurniture): void {
+    reset()
     activeController.value = controller
-    haEntityId.value = getCustomProperty(controller, 'haEntityId') ?? ''
-    effectRadius.value = parseFloat(getCustomProperty(controller, 'effectRadius') ?? '3.0')
-    controlsEntityId.value = getCustomProperty(controller, 'controlsEntityId') ?? ''
-    const storedType = getCustomProperty(controller, 'switchType')
-    switchType.value = storedType === 'pressure' ? 'pressure' : 'fixed'
-    pendingProps.value = {}
+    deviceTypeMark.value = getDeviceProperty(controller, 'haDeviceType') ?? ''
+    haEntityId.value = getDeviceProperty(controller, 'haEntityId') ?? ''
+    // Radius and range default to the radius of the device type
+    effectRadius.value = getDeviceProperty(controller, 'effectRadius', deviceType.value) ?? effectRadius.value
+    controlsEntityId.value = getDeviceProperty(controller, 'controlsEntityId') ?? ''
+    switchType.value = getDeviceProperty(controller, 'switchType') ?? 'fixed'
+    cameraFieldOfView.value = getDeviceProperty(controller, 'cameraFieldOfView') ?? cameraFieldOfView.value
+    cameraRange.value = getDeviceProperty(controller, 'cameraRange', deviceType.value) ?? cameraRange.value
   }
 
-  function commitProperty(key: string, value: string): void {
+  function commitProperty<K extends DevicePropertyKey>(key: K, value: DevicePropertyValues[K] | ''): void {
     if (!activeController.value) return
-    setCustomProperty(activeController.value, key, value)
+    const error = setDeviceProperty(activeController.value, key, value)
+    if (error) {
+      propertyErrors.value[key] = error
+    } else {
+      delete propertyErrors.value[key]
+    }
     pendingProps.value[key] = value
   }
 
   function flushPendingProps(): void {
     if (!activeController.value) return
     for (const [key, value] of Object.entries(pendingProps.value)) {
-      setCustomProperty(activeController.value, key, value)
+      setDeviceProperty(activeController.value, key as DevicePropertyKey, value)
     }
   }
 
   function reset(): void {
     activeController.value = null
+    deviceTypeMark.value = ''
     haEntityId.value = ''
     effectRadius.value = 3.0
     controlsEntityId.value = ''
     switchType.value = 'fixed'
+    cameraFieldOfView.value = 60
+    cameraRange.value = 8.0
     pendingProps.value = {}
+    propertyErrors.value = {}
   }
 
   return {
     activeController,
+    deviceTypeMark,
     haEntityId,
     effectRadius,
     controlsEntityId,
     switchType,
+    cameraFieldOfView,
+    cameraRange,
     pendingProps,
+    propertyErrors,
+    detectedDeviceType,
+    deviceType,
+    hasEditor,
     isSmartDevice,
     isSwitchDevice,
+    isCameraDevice,
     loadFromController,
     commitProperty,
     flushPendingProps,
@@ -25,6 +25,10 @@ export interface SmartHomeSettings {
   maxParticles: number
   optimizeForWebGL: boolean
 
+  // ── Export (user-configurable in Settings tab) ──
+  geometryFormat: 'obj' | 'glb'   // Default geometry format of the export dialog
+  modelTriangleBudget: number     // Max triangles per furniture model when optimizing for WebGL, 0 = no decimation
+
   // ── Connection tuning (user-configurable in Settings tab) ──
   reconnectDelay: number
   maxReconnectAttempts: number
@@ -54,6 +58,9 @@ const DEFAULTS: SmartHomeSettings = {
   maxParticles: 5000,
   optimizeForWebGL: true,
 
+  geometryFormat: 'obj',
+  modelTriangleBudget: 5000,
+
   reconnectDelay: 5,
   maxReconnectAttempts: 10,
   connectionTimeout: 30,
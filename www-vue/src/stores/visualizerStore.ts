@@ -0,0 +1,31 @@
+import { defineStore } from 'pinia'
+import { ref } from 'vue'
+
+/**
+ * Devices changed since the _devices.json loaded in the visualizer (see UnityExportUtilities.diffDevices)
+ */
+export interface DeviceUpdate {
+  homeId: string
+  devices: Record<string, unknown>[]                      // Added, moved and relinked devices, as in _devices.json
+  removed: { id: string; objectName: string | null }[]
+}
+
+/**
+ * State of the Unity visualizer iframe, always mounted by UnityView, shared with the editor
+ */
+export const useVisualizerStore = defineStore('visualizer', () => {
+  const loadedHomeId = ref<string | null>(null)  // Home sent to the visualizer, null until it's loaded
+  const deviceUpdate = ref<DeviceUpdate | null>(null)  // Last update, posted to the iframe by UnityView
+
+  /**
+   * Send changed devices to the visualizer, forwarded to Unity without reloading the home
+   * @returns false when the visualizer doesn't show the home, and will read its devices when loading it
+   */
+  function updateDevices(update: DeviceUpdate): boolean {
+    if (loadedHomeId.value !== update.homeId) return false
+    deviceUpdate.value = update
+    return true
+  }
+
+  return { loadedHomeId, deviceUpdate, updateDevices }
+})
@@ -32,10 +32,17 @@ interface SH3DFurniture {
 
 interface SH3DHome {
   getSelectedItems(): SH3DFurniture[]
+  getFurniture?(): SH3DFurniture[]
+}
+
+interface SH3DCollectionEvent<T> {
+  getType(): unknown
+  getItem(): T
 }
 
 interface SH3DApplication {
   getHomes(): SH3DHome[]
+  addHomesListener?(listener: (event: SH3DCollectionEvent<SH3DHome>) => void): void
 }
 
 interface Window {
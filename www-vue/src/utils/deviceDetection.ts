@@ -1,4 +1,27 @@
-const IOT_KEYWORDS = ['sensor', 'camera', 'dimmer', 'thermostat', 'motion', 'lock', 'plug', 'bulb', 'hub']
+export type DeviceEditor = 'entity' | 'effectRadius' | 'camera' | 'controlsEntity' | 'switchType'
+
+/**
+ * Device type of DeviceTypeRegistry (lib/device-types.js)
+ */
+export interface DeviceType {
+  id: string
+  name: string
+  catalogIds: string[]
+  domains: string[]            // Home Assistant domains of the linked entity
+  effect: 'room_fill' | 'circular' | 'square' | 'directional'
+  radius: number               // Default effect radius in meters
+  editors: DeviceEditor[]      // Properties edited in the furniture dialog
+}
+
+interface DeviceTypeRegistryAPI {
+  TYPES: DeviceType[]
+  get(typeId: string): DeviceType | null
+  resolve(furniture: SH3DFurniture, catalogId?: string | null, mark?: string | null): DeviceType | null
+}
+
+function getRegistry(): DeviceTypeRegistryAPI | null {
+  return (window as any).DeviceTypeRegistry ?? null
+}
 
 export function resolveCatalogId(furniture: SH3DFurniture): string | null {
   try {
@@ -28,31 +51,35 @@ export function resolveCatalogId(furniture: SH3DFurniture): string | null {
   return null
 }
 
-export function isSmartDeviceFurniture(furniture: SH3DFurniture): boolean {
-  try {
-    const catalogId = resolveCatalogId(furniture)
-    if (catalogId?.startsWith('ha_')) return true
+/**
+ * Piece property marking a piece as a device type ('none' = not a device)
+ */
+export const DEVICE_TYPE_PROPERTY = 'haDeviceType'
 
-    if (furniture.creator === 'HA') return true
-
-    const categoryName = furniture.getCategory?.()?.getName?.()?.toLowerCase() ?? ''
-    if (categoryName.includes('smart')) return true
+export function listDeviceTypes(): DeviceType[] {
+  return getRegistry()?.TYPES ?? []
+}
 
-    const name = furniture.getName?.()?.toLowerCase() ?? ''
-    const id = catalogId?.toLowerCase() ?? ''
-    if (IOT_KEYWORDS.some(kw => name.includes(kw) || id.includes(kw))) return true
+/**
+ * Get the device type of a piece, or null when it isn't a device
+ * @param mark Type the piece is marked as, read from its properties when undefined
+ */
+export function resolveDeviceType(furniture: SH3DFurniture, mark?: string | null): DeviceType | null {
+  try {
+    return getRegistry()?.resolve(furniture, resolveCatalogId(furniture), mark) ?? null
   } catch {
-    // ignore
+    return null
   }
-  return false
+}
+
+export function isSmartDeviceFurniture(furniture: SH3DFurniture): boolean {
+  return resolveDeviceType(furniture) !== null
 }
 
 export function isSwitchFurniture(furniture: SH3DFurniture): boolean {
-  try {
-    const catalogId = resolveCatalogId(furniture)
-    if (!catalogId) return false
-    return catalogId.startsWith('ha_switch') || catalogId === 'ha_light_dimmer'
-  } catch {
-    return false
-  }
+  return resolveDeviceType(furniture)?.editors.includes('switchType') ?? false
+}
+
+export function isCameraFurniture(furniture: SH3DFurniture): boolean {
+  return resolveDeviceType(furniture)?.editors.includes('camera') ?? false
 }
@@ -54,7 +54,7 @@ export default defineConfig({
             const urlObj = new URL(req.url!, `http://${req.headers.host}`)
             const homeId = urlObj.searchParams.get('home')
             if (homeId) {
-              for (const ext of ['.sh3x', '_devices.json', '_geometry.zip']) {
+              for (const ext of ['.sh3x', '_devices.json', '_geometry.zip', '_geometry.glb', '_report.json']) {
                 const f = path.join(dataDir, homeId + ext)
                 if (fs.existsSync(f)) fs.unlinkSync(f)
               }